@@ -8,14 +8,28 @@ const {
   EmbedBuilder,
   ActionRowBuilder,
   ButtonBuilder,
-  ButtonStyle
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  SlashCommandBuilder,
+  ChannelType,
+  InteractionContextType,
+  PermissionFlagsBits,
+  AttachmentBuilder
 } = require('discord.js');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const PREFIX = ',';
+// Prefix commands need the privileged MessageContent intent.
+// Set ENABLE_PREFIX_COMMANDS=false to run with slash commands only.
+const PREFIX_COMMANDS_ENABLED = process.env.ENABLE_PREFIX_COMMANDS !== 'false';
+// Register slash commands in one guild (instant) instead of globally.
+const SLASH_COMMAND_GUILD_ID = process.env.SLASH_COMMAND_GUILD_ID || null;
 const ORANGE = 0xffa500;
 const LB_PAGE_SIZE = 5;
 // Where to store per-guild config
@@ -27,52 +41,101 @@ const CONFIG_PATH =
     ? '/data/discord-guild-config.json'
     : path.join(__dirname, 'discord-guild-config.json'));
 
-// ----- Lobbies definition -----
-const LOBBIES = [
- {
-    key: 'us-1',
-    region: 'us',
-    lobby: 1,
-    label: 'US $1',
-    url: 'https://damnbruh-us-1.fly.dev/players'
-  },
-  {
-    key: 'us-5',
-    region: 'us',
-    lobby: 5,
-    label: 'US $5',
-    url: 'https://damnbruh-us-5.fly.dev/players'
-  },
-  {
-    key: 'us-20',
-    region: 'us',
-    lobby: 20,
-    label: 'US $20',
-    url: 'https://damnbruh-us-20.fly.dev/players'
-  },
-  {
-    key: 'eu-1',
-    region: 'eu',
-    lobby: 1,
-    label: 'EU $1',
-    url: 'https://damnbruh-eu-1.fly.dev/players'
-  },
-  {
-    key: 'eu-5',
-    region: 'eu',
-    lobby: 5,
-    label: 'EU $5',
-    url: null, // no API for this server
-    noApi: true
-  },
-  {
-    key: 'eu-20',
-    region: 'eu',
-    lobby: 20,
-    label: 'EU $20',
-    url: 'https://damnbruh-eu-20.fly.dev/players'
+// ----- Lobby registry -----
+// Lobbies are loaded from LOBBIES_JSON (inline JSON) or from the file at
+// LOBBIES_PATH (defaults to lobbies.json next to this file).
+// Each entry: { key?, region, lobby|stake, label?, url|playersUrl, noApi? }
+// Reload at runtime with `,lobbies reload` or by sending SIGHUP.
+const LOBBIES_PATH = process.env.LOBBIES_PATH || path.join(__dirname, 'lobbies.json');
+
+let LOBBIES = [];
+let lobbiesSource = null;
+
+function parseLobbyNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = String(value || '').trim().replace(/^\$/, '');
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+  return Number(cleaned);
+}
+
+function normalizeLobbyDef(raw, index) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`entry ${index} is not an object`);
+  }
+  const region = String(raw.region || '').trim().toLowerCase();
+  if (!/^[a-z0-9]+$/.test(region)) {
+    throw new Error(`entry ${index} has an invalid region "${raw.region}"`);
+  }
+  const lobby = parseLobbyNumber(raw.lobby !== undefined ? raw.lobby : raw.stake);
+  if (lobby === null || lobby <= 0) {
+    throw new Error(`entry ${index} (${region}) has an invalid stake`);
+  }
+  const url = raw.url || raw.playersUrl || null;
+  const noApi = Boolean(raw.noApi) || !url;
+  // keys end up in "|"-separated ids (button customIds, scope keys)
+  if (raw.key && String(raw.key).includes('|')) {
+    throw new Error(`entry ${index} (${region}) has an invalid key "${raw.key}" (no "|" allowed)`);
+  }
+  return {
+    key: raw.key ? String(raw.key) : getLobbyKey(region, lobby),
+    region,
+    lobby,
+    label: raw.label ? String(raw.label) : `${region.toUpperCase()} $${lobby}`,
+    url: noApi ? null : String(url),
+    noApi
+  };
+}
+
+function readLobbyRegistry() {
+  let raw;
+  let source;
+  if (process.env.LOBBIES_JSON) {
+    raw = process.env.LOBBIES_JSON;
+    source = 'LOBBIES_JSON';
+  } else {
+    raw = fs.readFileSync(LOBBIES_PATH, 'utf8');
+    source = LOBBIES_PATH;
   }
-];
+
+  const parsed = JSON.parse(raw);
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.lobbies;
+  if (!Array.isArray(list)) {
+    throw new Error('expected an array of lobbies (or { "lobbies": [...] })');
+  }
+
+  const lobbies = list.map((entry, index) => normalizeLobbyDef(entry, index));
+  const seen = new Set();
+  for (const l of lobbies) {
+    const id = `${l.region}|${l.lobby}`;
+    if (seen.has(l.key) || seen.has(id)) {
+      throw new Error(`duplicate lobby ${l.label} (${l.key})`);
+    }
+    seen.add(l.key);
+    seen.add(id);
+  }
+  return { lobbies, source };
+}
+
+// Returns { ok, count, source } or { ok: false, error }. On failure the
+// previously loaded registry stays active.
+function reloadLobbies() {
+  try {
+    const { lobbies, source } = readLobbyRegistry();
+    LOBBIES = lobbies;
+    lobbiesSource = source;
+
+    // drop cached snapshots for lobbies that no longer exist
+    for (const key of lobbyCache.keys()) {
+      if (!findLobbyByKey(key)) lobbyCache.delete(key);
+    }
+
+    console.log(`[LOBBY] Loaded ${lobbies.length} lobby definition(s) from ${source}`);
+    return { ok: true, count: lobbies.length, source };
+  } catch (err) {
+    console.error('[LOBBY] Failed to load lobby registry:', err.message || err);
+    return { ok: false, error: err.message || String(err) };
+  }
+}
 
 function getLobbyKey(region, lobby) {
   return `${region}-${lobby}`;
@@ -82,16 +145,262 @@ function findLobby(region, lobby) {
   return LOBBIES.find(l => l.region === region && l.lobby === lobby);
 }
 
+function findLobbyByKey(key) {
+  return LOBBIES.find(l => l.key === key);
+}
+
+function getRegions() {
+  const regions = [];
+  for (const l of LOBBIES) {
+    if (!regions.includes(l.region)) regions.push(l.region);
+  }
+  return regions;
+}
+
+function getLobbiesInRegion(region) {
+  return LOBBIES.filter(l => l.region === region);
+}
+
+// e.g. "US: $1, $5, $20\nEU: $1, $5 (no API), $20"
+function describeLobbies() {
+  const lines = getRegions().map(region => {
+    const stakes = getLobbiesInRegion(region)
+      .map(l => (l.url ? `$${l.lobby}` : `$${l.lobby} (no API)`))
+      .join(', ');
+    return `${region.toUpperCase()}: ${stakes}`;
+  });
+  return lines.length ? lines.join('\n') : 'No lobbies configured.';
+}
+
+// Validates a `<lobby> <region>` argument pair against the registry.
+// Returns { lobbyDef } or { title, description } describing the problem.
+function resolveLobbyArgs(lobbyArg, regionArg) {
+  const region = (regionArg || '').toLowerCase();
+  const lobbyNum = parseLobbyNumber(lobbyArg);
+  const regions = getRegions();
+
+  if (!regions.includes(region)) {
+    return {
+      title: 'Invalid region',
+      description: `Region must be one of: ${regions.map(r => `"${r}"`).join(', ') || 'none'}.`
+    };
+  }
+  if (lobbyNum === null) {
+    return {
+      title: 'Invalid lobby',
+      description: `"${lobbyArg || ''}" is not a lobby stake.`
+    };
+  }
+  const lobbyDef = findLobby(region, lobbyNum);
+  if (!lobbyDef) {
+    return {
+      title: 'Invalid lobby',
+      description: `There is no $${lobbyNum} lobby in ${region.toUpperCase()}.`
+    };
+  }
+  return { lobbyDef };
+}
+
+function buildInvalidLobbyEmbed(result, usage) {
+  return new EmbedBuilder()
+    .setTitle(result.title)
+    .setDescription(
+      [
+        result.description,
+        '',
+        'Available lobbies:',
+        describeLobbies(),
+        '',
+        usage
+      ].join('\n')
+    )
+    .setColor(ORANGE);
+}
+
+// ----- Record / replay -----
+// LOBBY_RECORD_PATH appends every raw /players and SOL price response (or
+// fetch error) to a JSONL file. LOBBY_REPLAY_PATH feeds such a file back in
+// place of the network: polling, alerts and watches run against a virtual
+// clock that starts at the first recorded response and advances REPLAY_SPEED
+// times faster than real time. Without a DISCORD_TOKEN (or with
+// REPLAY_OFFLINE=true) the bot doesn't log in and prints alerts to the console.
+// Replays never write the history, config or alert-state files (and don't
+// restore the saved alert state), so a recording can't leak into
+// `,chart`/`,stats`, the live settings or the next normal boot.
+//
+// Recording lines: { t, type: 'players', key, data } | { t, type: 'players', key, error }
+//                  { t, type: 'sol', data } | { t, type: 'sol', error }
+const RECORD_PATH = process.env.LOBBY_RECORD_PATH || null;
+const REPLAY_PATH = process.env.LOBBY_REPLAY_PATH || null;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED) > 0 ? Number(process.env.REPLAY_SPEED) : 1;
+const REPLAY_OFFLINE =
+  Boolean(REPLAY_PATH) && (process.env.REPLAY_OFFLINE === 'true' || !process.env.DISCORD_TOKEN);
+const REPLAY_READ_ONLY = Boolean(REPLAY_PATH);
+
+let recordStream = null;
+let replay = null; // { responses: Map<'sol'|'players|<key>', entry[]>, startT, endT, startedAt, finished }
+
+function clockNow() {
+  if (!replay) return Date.now();
+  return replay.startT + (Date.now() - replay.startedAt) * REPLAY_SPEED;
+}
+
+function clockDate() {
+  return new Date(clockNow());
+}
+
+// Scales a polling interval so it covers the same virtual time during replay.
+function scaledInterval(ms) {
+  return replay ? Math.max(ms / REPLAY_SPEED, 50) : ms;
+}
+
+function recordResponse(entry) {
+  if (!RECORD_PATH) return;
+  if (!recordStream) {
+    fs.mkdirSync(path.dirname(RECORD_PATH), { recursive: true });
+    recordStream = fs.createWriteStream(RECORD_PATH, { flags: 'a' });
+    recordStream.on('error', err => console.error('[RECORD] Write failed:', err.message || err));
+    console.log(`[RECORD] Recording lobby responses to ${RECORD_PATH}`);
+  }
+  recordStream.write(JSON.stringify({ t: Date.now(), ...entry }) + '\n');
+}
+
+function loadReplay(filePath) {
+  const responses = new Map();
+  let startT = Infinity;
+  let endT = -Infinity;
+  let count = 0;
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      continue; // a partial last line from an interrupted recording
+    }
+    if (typeof entry.t !== 'number') continue;
+    const streamKey = entry.type === 'sol' ? 'sol' : entry.type === 'players' ? `players|${entry.key}` : null;
+    if (!streamKey) continue;
+
+    if (!responses.has(streamKey)) responses.set(streamKey, []);
+    responses.get(streamKey).push(entry);
+    startT = Math.min(startT, entry.t);
+    endT = Math.max(endT, entry.t);
+    count++;
+  }
+  if (count === 0) throw new Error(`no recorded responses in ${filePath}`);
+
+  for (const list of responses.values()) list.sort((a, b) => a.t - b.t);
+  const missing = LOBBIES.filter(l => l.url && !responses.has(`players|${l.key}`));
+  if (missing.length > 0) {
+    console.warn(`[REPLAY] No recorded responses for ${missing.map(l => l.label).join(', ')}`);
+  }
+  console.log(
+    `[REPLAY] Loaded ${count} response(s) from ${filePath} ` +
+    `(${formatDuration(endT - startT)} of lobby data, speed x${REPLAY_SPEED}); ` +
+    'history, alert state and settings changes are not saved'
+  );
+  return { responses, startT, endT, startedAt: Date.now(), finished: false };
+}
+
+// Lobbies missing from the recording are treated like lobbies without an API.
+function isMissingFromReplay(lobbyDef) {
+  return Boolean(replay) && !replay.responses.has(`players|${lobbyDef.key}`);
+}
+
+// Latest recorded response at or before the virtual clock.
+function getReplayResponse(streamKey) {
+  const list = replay.responses.get(streamKey);
+  const now = clockNow();
+  if (!list || list.length === 0 || list[0].t > now) return null;
+
+  let lo = 0;
+  let hi = list.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (list[mid].t <= now) lo = mid;
+    else hi = mid - 1;
+  }
+  return list[lo];
+}
+
+// Fetches one upstream JSON response: from the network (recording it when
+// enabled) or, during replay, from the recording.
+async function fetchUpstream(url, entry) {
+  if (replay) {
+    const streamKey = entry.type === 'sol' ? 'sol' : `players|${entry.key}`;
+    const recorded = getReplayResponse(streamKey);
+    if (!recorded) throw new Error('no recorded response yet');
+    if (recorded.error) throw new Error(recorded.error);
+    return recorded.data;
+  }
+
+  try {
+    const res = await axios.get(url, { timeout: 5000 });
+    recordResponse({ ...entry, data: res.data });
+    return res.data;
+  } catch (err) {
+    recordResponse({ ...entry, error: err.message || String(err) });
+    throw err;
+  }
+}
+
+// Stands in for a Discord channel when replaying offline.
+function createConsoleChannel(guildId, channelId) {
+  return {
+    id: channelId,
+    guild: { id: guildId },
+    isTextBased: () => true,
+    async send(payload) {
+      const lines = [`[${new Date(clockNow()).toISOString()}] #${channelId} (guild ${guildId})`];
+      if (payload.content) lines.push(payload.content);
+      for (const embed of payload.embeds || []) {
+        const data = embed.toJSON ? embed.toJSON() : embed;
+        if (data.title) lines.push(`** ${data.title} **`);
+        if (data.description) lines.push(data.description);
+        if (data.footer && data.footer.text) lines.push(`(${data.footer.text})`);
+      }
+      console.log(lines.join('\n') + '\n');
+      return { id: `console-${clockNow()}` };
+    }
+  };
+}
+
+// Text channel that alerts go to, or null if it's gone.
+function resolveTextChannel(guildId, channelId) {
+  if (!channelId) return null;
+  if (REPLAY_OFFLINE) return createConsoleChannel(guildId, channelId);
+
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return null;
+  const channel = guild.channels.cache.get(channelId);
+  if (!channel || !channel.isTextBased()) return null;
+  return channel;
+}
+
+// Logs once when the virtual clock passes the end of the recording; offline
+// runs save the config and exit, online runs keep serving the last responses.
+function checkReplayFinished() {
+  if (!replay || replay.finished || clockNow() <= replay.endT) return;
+  replay.finished = true;
+  console.log('[REPLAY] Reached the end of the recording');
+  if (REPLAY_OFFLINE) {
+    Promise.all([flushGuildConfigs(), saveAlertState()]).finally(() => process.exit(0));
+  }
+}
+
 // ----- SOL price cache -----
 let solPriceUsd = null;
 let solPriceUpdatedAt = null;
 
 async function refreshSolPrice() {
   try {
-    const res = await axios.get('https://www.damnbruh.com/api/price/sol', { timeout: 5000 });
-    if (res.data && res.data.success && typeof res.data.price === 'number') {
-      solPriceUsd = res.data.price;
-      solPriceUpdatedAt = res.data.lastUpdated ? new Date(res.data.lastUpdated) : new Date();
+    const data = await fetchUpstream('https://www.damnbruh.com/api/price/sol', { type: 'sol' });
+    if (data && data.success && typeof data.price === 'number') {
+      solPriceUsd = data.price;
+      solPriceUpdatedAt = data.lastUpdated ? new Date(data.lastUpdated) : clockDate();
       console.log(`[SOL] Price updated: $${solPriceUsd} at ${solPriceUpdatedAt.toISOString()}`);
     } else {
       console.warn('[SOL] Unexpected response from price endpoint');
@@ -100,30 +409,214 @@ async function refreshSolPrice() {
     console.error('[SOL] Failed to refresh price:', err.message || err);
   }
 }
-function formatEtTime(date) {
+
+// ----- Time formatting -----
+// Each guild picks a time zone (`,config timezone`) and a format
+// (`,config time-format`): '12h' (default), '24h' or 'discord', which uses
+// Discord's <t:unix:T> timestamps so every reader sees their own local time.
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const TIME_FORMATS = ['12h', '24h', 'discord'];
+
+function getGuildTimeZone(guildId) {
+  const cfg = guildId ? guildConfigs.get(guildId) : null;
+  return (cfg && cfg.timeZone) || DEFAULT_TIME_ZONE;
+}
+
+function getGuildTimeFormat(guildId) {
+  const cfg = guildId ? guildConfigs.get(guildId) : null;
+  return (cfg && cfg.timeFormat) || '12h';
+}
+
+// Returns the canonical IANA name, or null if the zone is unknown.
+function normalizeTimeZone(input) {
+  if (!input) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+// en-US only knows North American abbreviations (EDT, PST, ...); en-GB adds
+// European ones (BST, CEST, ...). Anything else stays as "GMT+9" etc.
+function getTimeZoneAbbreviation(date, timeZone) {
+  let fallback = timeZone;
+  for (const locale of ['en-US', 'en-GB']) {
+    const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(p => p.type === 'timeZoneName');
+    if (!part) continue;
+    if (!/^(GMT|UTC)[+-]/.test(part.value)) return part.value;
+    fallback = part.value;
+  }
+  return fallback;
+}
+
+// e.g. "6:30:21pm EDT", "18:30:21 CEST" or "<t:1700000000:T>"
+function formatGuildTime(date, guildId) {
   const d = date instanceof Date ? date : new Date(date);
+  const format = getGuildTimeFormat(guildId);
+  if (format === 'discord') return `<t:${Math.floor(d.getTime() / 1000)}:T>`;
+
+  const timeZone = getGuildTimeZone(guildId);
   try {
-    const options = {
-      timeZone: 'America/New_York',
-      hour12: true,
-      hour: 'numeric',
-      minute: '2-digit',
-      second: '2-digit'
-    };
+    const options =
+      format === '24h'
+        ? { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit', second: '2-digit' }
+        : { timeZone, hour12: true, hour: 'numeric', minute: '2-digit', second: '2-digit' };
     let t = d.toLocaleTimeString('en-US', options); // e.g. "6:30:21 PM"
     t = t.replace(/ /g, '');                        // "6:30:21PM"
     t = t.replace('AM', 'am').replace('PM', 'pm');  // "6:30:21pm"
-    return `${t} EST`;
+    return `${t} ${getTimeZoneAbbreviation(d, timeZone)}`;
   } catch (e) {
     return d.toISOString(); // fallback
   }
 }
 
-function solPriceStatusLine() {
+function solPriceStatusLine(guildId) {
   if (!solPriceUsd || !solPriceUpdatedAt) {
     return 'SOL price: unavailable (will retry every 60s)';
   }
-  return `SOL price: $${solPriceUsd.toFixed(2)} (updated ${formatEtTime(solPriceUpdatedAt)})`;
+  const { code } = getGuildCurrency(guildId);
+  let price = `$${solPriceUsd.toFixed(2)}`;
+  if (isFiatCurrency(code)) {
+    const fiat = formatFiat(solPriceUsd, code);
+    price = fiat ? `${fiat} (${price})` : `${price} (${code.toUpperCase()} rate unavailable)`;
+  }
+  return `SOL price: ${price} (updated ${formatGuildTime(solPriceUpdatedAt, guildId)})`;
+}
+
+// ----- Display currency -----
+// Player values are SOL amounts (monetaryValue). Each guild picks how they
+// are shown with `,config currency`: 'sol', 'usd' (default) or any fiat code,
+// optionally with the SOL amount alongside. Fiat rates come from the
+// providers below, tried in FIAT_RATE_PROVIDERS order; the last known rate
+// per currency is kept, so a provider outage only makes rates stale.
+const FIAT_RATE_REFRESH_MS = 60 * 60 * 1000;
+
+// name -> async () => ({ EUR: 0.92, GBP: 0.79, ... }) per 1 USD
+const fiatRateProviders = {
+  erapi: async () => {
+    const res = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: 5000 });
+    if (!res.data || res.data.result !== 'success' || !res.data.rates) {
+      throw new Error('Unexpected response');
+    }
+    return res.data.rates;
+  },
+  frankfurter: async () => {
+    const res = await axios.get('https://api.frankfurter.app/latest?from=USD', { timeout: 5000 });
+    if (!res.data || !res.data.rates) throw new Error('Unexpected response');
+    return res.data.rates;
+  }
+};
+const FIAT_RATE_PROVIDER_ORDER = (process.env.FIAT_RATE_PROVIDERS || 'erapi,frankfurter')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const fiatRates = new Map(); // 'EUR' -> { rate, updatedAt: Date, source }
+
+function isFiatCurrency(code) {
+  return !!code && code !== 'sol' && code !== 'usd';
+}
+
+function isKnownCurrency(code) {
+  if (code === 'sol' || code === 'usd') return true;
+  if (!/^[a-z]{3}$/.test(code)) return false;
+  if (fiatRates.has(code.toUpperCase())) return true;
+  try {
+    return Intl.supportedValuesOf('currency').includes(code.toUpperCase());
+  } catch (e) {
+    return false;
+  }
+}
+
+async function refreshFiatRates({ force = false } = {}) {
+  const needed = Array.from(guildConfigs.values()).some(cfg => isFiatCurrency(cfg.currency));
+  if (!needed && !force) return;
+
+  for (const name of FIAT_RATE_PROVIDER_ORDER) {
+    const provider = fiatRateProviders[name];
+    if (!provider) {
+      console.warn(`[FIAT] Unknown rate provider "${name}"`);
+      continue;
+    }
+    try {
+      const rates = await provider();
+      const now = new Date();
+      let count = 0;
+      for (const [code, rate] of Object.entries(rates)) {
+        if (typeof rate !== 'number' || rate <= 0) continue;
+        fiatRates.set(code.toUpperCase(), { rate, updatedAt: now, source: name });
+        count++;
+      }
+      console.log(`[FIAT] Loaded ${count} rate(s) from ${name}`);
+      return;
+    } catch (err) {
+      console.error(`[FIAT] ${name} failed:`, err.message || err);
+    }
+  }
+  console.warn('[FIAT] All rate providers failed; keeping last known rates');
+}
+
+function getGuildCurrency(guildId) {
+  const cfg = guildId ? guildConfigs.get(guildId) : null;
+  return {
+    code: (cfg && cfg.currency) || 'usd',
+    showBoth: !!(cfg && cfg.currencyShowBoth)
+  };
+}
+
+// Formats a USD amount in the given fiat code; null if no rate is known.
+function formatFiat(usd, code) {
+  const upper = code.toUpperCase();
+  let amount = usd;
+  if (upper !== 'USD') {
+    const entry = fiatRates.get(upper);
+    if (!entry) return null;
+    amount = usd * entry.rate;
+  }
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: upper }).format(amount);
+  } catch (e) {
+    return `${amount.toFixed(2)} ${upper}`;
+  }
+}
+
+function formatSol(sol) {
+  return `${sol.toFixed(sol >= 100 ? 2 : 4)} SOL`;
+}
+
+// Fiat in the guild's currency, falling back to USD when that rate is unknown.
+function formatFiatForGuild(usd, code) {
+  const fiatCode = code === 'sol' ? 'usd' : code;
+  return formatFiat(usd, fiatCode) || formatFiat(usd, 'usd');
+}
+
+// Formats a SOL amount the way the guild wants it shown.
+function formatSolValue(sol, guildId) {
+  if (typeof sol !== 'number') return '(price unavailable)';
+  const { code, showBoth } = getGuildCurrency(guildId);
+  const usd = solPriceUsd ? sol * solPriceUsd : null;
+
+  if (code === 'sol') {
+    if (!showBoth) return formatSol(sol);
+    return usd !== null ? `${formatSol(sol)} (${formatFiatForGuild(usd, code)})` : formatSol(sol);
+  }
+  if (usd === null) return showBoth ? `${formatSol(sol)} (price unavailable)` : '(price unavailable)';
+  const fiat = formatFiatForGuild(usd, code);
+  return showBoth ? `${fiat} (${formatSol(sol)})` : fiat;
+}
+
+function formatPlayerValue(p, guildId) {
+  return formatSolValue(p.monetaryValue, guildId);
+}
+
+function describeGuildCurrency(guildId) {
+  const { code, showBoth } = getGuildCurrency(guildId);
+  const name = code.toUpperCase();
+  if (!showBoth) return name;
+  return code === 'sol' ? 'SOL + USD' : `${name} + SOL`;
 }
 
 
@@ -132,13 +625,13 @@ const lobbyCache = new Map(); // key -> { data, lastFetched: Date }
 
 async function fetchLobbyPlayers(lobbyDef) {
   // Special case: no API for this lobby (EU $5)
-  if (!lobbyDef.url) {
+  if (!lobbyDef.url || isMissingFromReplay(lobbyDef)) {
     const cached = {
       serverId: lobbyDef.key,
       playerCount: 0,
       players: [],
-      timestamp: Date.now(),
-      lastFetched: new Date(),
+      timestamp: clockNow(),
+      lastFetched: clockDate(),
       noApi: true
     };
     lobbyCache.set(lobbyDef.key, cached);
@@ -146,12 +639,16 @@ async function fetchLobbyPlayers(lobbyDef) {
   }
 
   try {
-    const res = await axios.get(lobbyDef.url, { timeout: 5000 });
-    if (!res.data || !res.data.success) {
+    const data = await fetchUpstream(lobbyDef.url, { type: 'players', key: lobbyDef.key });
+    if (!data || !data.success) {
       throw new Error('API returned non-success');
     }
-    const data = res.data;
 
+    // a missing list is a bad response, not an empty lobby (that would look
+    // like everyone left)
+    if (!Array.isArray(data.players) && data.playerCount !== 0) {
+      throw new Error('API response has no player list');
+    }
     const players = Array.isArray(data.players) ? data.players : [];
 
     // Attach USD computed from current cached SOL price.
@@ -170,8 +667,8 @@ async function fetchLobbyPlayers(lobbyDef) {
       serverId: data.serverId || lobbyDef.key,
       playerCount: typeof data.playerCount === 'number' ? data.playerCount : players.length,
       players: playersWithUsd,
-      timestamp: data.timestamp || Date.now(),
-      lastFetched: new Date(),
+      timestamp: data.timestamp || clockNow(),
+      lastFetched: clockDate(),
       noApi: false
     };
 
@@ -185,346 +682,3953 @@ async function fetchLobbyPlayers(lobbyDef) {
 
 async function getLobbySnapshot(lobbyDef) {
   const existing = lobbyCache.get(lobbyDef.key);
-  if (existing && existing.lastFetched && (Date.now() - existing.lastFetched.getTime()) < 5000) {
+  if (existing && existing.lastFetched && (clockNow() - existing.lastFetched.getTime()) < 5000) {
     return existing;
   }
   return await fetchLobbyPlayers(lobbyDef);
 }
-async function runRegionRefreshLoop() {
-  for (const [guildId, cfg] of guildConfigs.entries()) {
-    try {
-      if (!cfg.refreshChannelId) continue;
-      if (!cfg.defaultRegion || !['us', 'eu'].includes(cfg.defaultRegion)) continue;
 
-      const guild = client.guilds.cache.get(guildId);
-      if (!guild) continue;
+// Players at or below this size have just spawned (or are spectating); they
+// are left out of player counts, alerts and sessions. `,config min-size` and
+// `,lb ... min:<size>` only change what leaderboards show.
+const ACTIVE_SIZE_CUTOFF = 3;
 
-      const channel = guild.channels.cache.get(cfg.refreshChannelId);
-      if (!channel || !channel.isTextBased()) continue;
+function isActivePlayer(p) {
+  return typeof p.size === 'number' && p.size > ACTIVE_SIZE_CUTOFF;
+}
 
-      const embeds = await buildRegionSummaryEmbeds(cfg.defaultRegion);
-      if (!embeds || embeds.length === 0) continue;
+// minSize null = the default active cutoff
+function meetsMinSize(p, minSize = null) {
+  if (minSize === null || minSize === undefined) return isActivePlayer(p);
+  return typeof p.size === 'number' && p.size >= minSize;
+}
 
-      // delete previous refresh message if we have one
-      if (cfg.lastRefreshMessageId) {
-        try {
-          const prev = await channel.messages.fetch(cfg.lastRefreshMessageId);
-          if (prev) await prev.delete().catch(() => {});
-        } catch (e) {
-          // ignore (message deleted / no perms)
-        }
-      }
+function getGuildMinSize(guildId) {
+  const cfg = guildId ? guildConfigs.get(guildId) : null;
+  return cfg && typeof cfg.minSize === 'number' ? cfg.minSize : null;
+}
 
-      const msg = await channel.send({ embeds });
-      cfg.lastRefreshMessageId = msg.id;
-      // no ping: we send only embeds, no content
-    } catch (err) {
-      console.error('runRegionRefreshLoop error for guild', guildId, err.message || err);
+// ----- Player sessions -----
+// Tracks how long each active player (size > 3) has been in a lobby, shared
+// by every guild. Only updated from successful fetches, so a failed poll
+// never ends anyone's session.
+// A player who drops out of the list (or to size 3 or below) keeps their
+// session for JOIN_GRACE_SECONDS, so a brief flicker is neither a leave nor a
+// new join. Coming back within REJOIN_WINDOW_SECONDS after the session ended
+// starts a new session marked as a rejoin.
+// lobbyKey -> Map<playerId, { player, startedAt: Date, lastSeenAt: Date, endedAt: Date|null, rejoinedAfterMs: number|null }>
+const lobbySessions = new Map();
+const JOIN_GRACE_MS =
+  (process.env.JOIN_GRACE_SECONDS !== undefined ? Number(process.env.JOIN_GRACE_SECONDS) || 0 : 15) * 1000;
+const REJOIN_WINDOW_MS =
+  (process.env.REJOIN_WINDOW_SECONDS !== undefined ? Number(process.env.REJOIN_WINDOW_SECONDS) || 0 : 300) * 1000;
+// keep ended sessions around for leave alerts and rejoin detection
+const ENDED_SESSION_TTL_MS = Math.max(10 * 60 * 1000, REJOIN_WINDOW_MS);
+
+function updateLobbySessions(lobbyKey, snapshot) {
+  const now = snapshot.lastFetched || clockDate();
+  let sessions = lobbySessions.get(lobbyKey);
+  if (!sessions) {
+    sessions = new Map();
+    lobbySessions.set(lobbyKey, sessions);
+  }
+
+  const currentIds = new Set();
+  for (const p of snapshot.players) {
+    if (!isActivePlayer(p)) continue;
+    const id = p.privyId || p.id;
+    if (!id) continue;
+    currentIds.add(id);
+
+    const session = sessions.get(id);
+    if (session && !session.endedAt) {
+      session.player = p;
+      session.lastSeenAt = now;
+    } else {
+      const awayMs = session ? now - session.lastSeenAt : null;
+      sessions.set(id, {
+        player: p,
+        startedAt: now,
+        lastSeenAt: now,
+        endedAt: null,
+        rejoinedAfterMs: awayMs !== null && awayMs <= REJOIN_WINDOW_MS ? awayMs : null
+      });
     }
   }
-}
 
+  for (const [id, session] of sessions.entries()) {
+    if (currentIds.has(id)) continue;
+    if (!session.endedAt) {
+      if (now - session.lastSeenAt >= JOIN_GRACE_MS) session.endedAt = now;
+    } else if (now - session.endedAt > ENDED_SESSION_TTL_MS) {
+      sessions.delete(id);
+    }
+  }
+}
 
-// ----- Guild configuration (in-memory) -----
-// guildId -> {
-//   alertChannelId: string|null,
-//   alertEnabled: { [lobbyKey]: boolean },
-//   lastSeenPlayers: { [lobbyKey]: Set<string> },
-//   watches: Map<number, { id, lobbyKey, threshold, intervalMinutes, lastAlertAt: Date|null }>,
-//   nextWatchId: number,
-//   pingRoleId: string|null,
-//   defaultRegion?: string
-// }
-const guildConfigs = new Map();
+// Players with an open session: active now, or gone for less than the grace period.
+function getPresentPlayers(lobbyKey) {
+  const sessions = lobbySessions.get(lobbyKey);
+  const present = new Map();
+  if (!sessions) return present;
+  for (const [id, session] of sessions.entries()) {
+    if (!session.endedAt) present.set(id, session);
+  }
+  return present;
+}
 
-function loadGuildConfigsFromDisk() {
-  try {
-    if (!fs.existsSync(CONFIG_PATH)) return;
-    const raw = fs.readFileSync(CONFIG_PATH, 'utf8');
-    if (!raw) return;
-
-    const parsed = JSON.parse(raw);
-    guildConfigs.clear();
-
-    for (const [guildId, stored] of Object.entries(parsed)) {
-    const cfg = {
-  alertChannelId: stored.alertChannelId || null,
-  alertEnabled: stored.alertEnabled || {},
-  lastSeenPlayers: {},          // rebuilt at runtime
-  watches: new Map(),
-  nextWatchId: stored.nextWatchId || 1,
-  // NEW: split ping roles (use old pingRoleId as lobby fallback)
-  lobbyPingRoleId: stored.lobbyPingRoleId || stored.pingRoleId || null,
-  watchPingRoleId: stored.watchPingRoleId || null,
-  defaultRegion: stored.defaultRegion || null,
-  refreshChannelId: stored.refreshChannelId || null,
-  lastRefreshMessageId: null,
-  watchChannelId: stored.watchChannelId || null
-};
+function getPlayerSession(lobbyKey, playerId) {
+  const sessions = lobbySessions.get(lobbyKey);
+  return sessions ? sessions.get(playerId) || null : null;
+}
 
+// e.g. "1h 05m", "12m 30s", "45s"
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+}
 
+// ----- Lobby history store -----
+// Every poll is appended to HISTORY_PATH (next to the guild config file) as
+// one JSON line per lobby:
+//   { t, k, sol, active, count, p: [[id, name, size, monetaryValue], ...] }
+// compactHistory() drops lines older than the retention window and thins
+// lines older than HISTORY_FULL_RES_HOURS down to one per downsample bucket.
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+const HISTORY_PATH =
+  process.env.LOBBY_HISTORY_PATH ||
+  path.join(path.dirname(CONFIG_PATH), 'lobby-history.jsonl');
+const HISTORY_RETENTION_HOURS = Number(process.env.HISTORY_RETENTION_HOURS) || 24 * 7;
+const HISTORY_FULL_RES_HOURS = Number(process.env.HISTORY_FULL_RES_HOURS) || 6;
+const HISTORY_DOWNSAMPLE_SECONDS = Number(process.env.HISTORY_DOWNSAMPLE_SECONDS) || 60;
+
+// appends and compaction run one at a time
+let historyQueue = Promise.resolve();
+
+function enqueueHistoryTask(task) {
+  historyQueue = historyQueue.then(task).catch(err => {
+    console.error('[HISTORY] Task failed:', err.message || err);
+  });
+  return historyQueue;
+}
 
+function buildHistoryRecord(lobbyDef, snapshot) {
+  const players = Array.isArray(snapshot.players) ? snapshot.players : [];
+  return {
+    t: snapshot.lastFetched ? snapshot.lastFetched.getTime() : clockNow(),
+    k: lobbyDef.key,
+    sol: solPriceUsd || null,
+    active: players.filter(isActivePlayer).length,
+    count: snapshot.playerCount,
+    p: players.map(p => [
+      p.privyId || p.id || null,
+      p.name || null,
+      typeof p.size === 'number' ? p.size : null,
+      typeof p.monetaryValue === 'number' ? p.monetaryValue : null
+    ])
+  };
+}
 
-      if (Array.isArray(stored.watches)) {
-        for (const w of stored.watches) {
-          cfg.watches.set(w.id, {
-            id: w.id,
-            lobbyKey: w.lobbyKey,
-            threshold: w.threshold,
-            intervalMinutes: w.intervalMinutes,
-            lastAlertAt: w.lastAlertAt ? new Date(w.lastAlertAt) : null
-          });
-        }
-      }
+function appendHistory(records) {
+  if (!HISTORY_ENABLED || REPLAY_READ_ONLY || records.length === 0) return Promise.resolve();
+  const lines = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+  return enqueueHistoryTask(async () => {
+    await fs.promises.mkdir(path.dirname(HISTORY_PATH), { recursive: true });
+    await fs.promises.appendFile(HISTORY_PATH, lines, 'utf8');
+  });
+}
 
-      guildConfigs.set(guildId, cfg);
+// Streams the history file and returns matching records, oldest first.
+async function readHistory({ lobbyKey = null, since = 0, until = Infinity } = {}) {
+  const records = [];
+  if (!fs.existsSync(HISTORY_PATH)) return records;
+
+  const keyNeedle = lobbyKey ? `"k":${JSON.stringify(lobbyKey)}` : null;
+  const rl = readline.createInterface({
+    input: fs.createReadStream(HISTORY_PATH, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    if (!line) continue;
+    if (keyNeedle && !line.includes(keyNeedle)) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      continue; // partial line from a crash mid-append
     }
-
-    console.log(
-      `Loaded guild config for ${guildConfigs.size} guild(s) from ${CONFIG_PATH}`
-    );
-  } catch (err) {
-    console.error('Failed to load guild config file:', err);
+    if (lobbyKey && record.k !== lobbyKey) continue;
+    if (record.t < since || record.t > until) continue;
+    records.push(record);
   }
-}
 
-function saveGuildConfigsToDisk() {
-  try {
-    const obj = {};
-    for (const [guildId, cfg] of guildConfigs.entries()) {
-      obj[guildId] = {
-  alertChannelId: cfg.alertChannelId || null,
-  alertEnabled: cfg.alertEnabled || {},
-  watches: Array.from(cfg.watches.values()).map(w => ({
-    id: w.id,
-    lobbyKey: w.lobbyKey,
-    threshold: w.threshold,
-    intervalMinutes: w.intervalMinutes,
-    lastAlertAt: w.lastAlertAt ? w.lastAlertAt.toISOString() : null
-  })),
-  nextWatchId: cfg.nextWatchId || 1,
-  // NEW: split ping roles
-  lobbyPingRoleId: cfg.lobbyPingRoleId || null,
-  watchPingRoleId: cfg.watchPingRoleId || null,
-  defaultRegion: cfg.defaultRegion || null,
-  refreshChannelId: cfg.refreshChannelId || null,
-  watchChannelId: cfg.watchChannelId || null
-};
+  return records;
+}
 
+function compactHistory() {
+  if (!HISTORY_ENABLED || REPLAY_READ_ONLY) return Promise.resolve();
+  return enqueueHistoryTask(async () => {
+    if (!fs.existsSync(HISTORY_PATH)) return;
+
+    const now = clockNow();
+    const expireBefore = now - HISTORY_RETENTION_HOURS * 60 * 60 * 1000;
+    const downsampleBefore = now - HISTORY_FULL_RES_HOURS * 60 * 60 * 1000;
+    const bucketMs = HISTORY_DOWNSAMPLE_SECONDS * 1000;
+    const keptBuckets = new Set();
+    const tmpPath = `${HISTORY_PATH}.tmp`;
+    const out = fs.createWriteStream(tmpPath, { encoding: 'utf8' });
+    let kept = 0;
+    let dropped = 0;
+
+    const rl = readline.createInterface({
+      input: fs.createReadStream(HISTORY_PATH, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
 
+    for await (const line of rl) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        dropped++;
+        continue;
+      }
 
-    }
+      if (record.t < expireBefore) {
+        dropped++;
+        continue;
+      }
+      if (record.t < downsampleBefore) {
+        const bucket = `${record.k}|${Math.floor(record.t / bucketMs)}`;
+        if (keptBuckets.has(bucket)) {
+          dropped++;
+          continue;
+        }
+        keptBuckets.add(bucket);
+      }
 
-    const dir = path.dirname(CONFIG_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+      if (!out.write(line + '\n')) {
+        await new Promise(resolve => out.once('drain', resolve));
+      }
+      kept++;
     }
 
-    fs.writeFileSync(CONFIG_PATH, JSON.stringify(obj, null, 2), 'utf8');
-  } catch (err) {
-    console.error('Failed to save guild config file:', err);
-  }
+    await new Promise((resolve, reject) => {
+      out.end(err => (err ? reject(err) : resolve()));
+    });
+    await fs.promises.rename(tmpPath, HISTORY_PATH);
+    console.log(`[HISTORY] Compacted ${HISTORY_PATH}: kept ${kept}, dropped ${dropped}`);
+  });
 }
 
-function getGuildConfig(guildId) {
-  let cfg = guildConfigs.get(guildId);
-  if (!cfg) {
-  cfg = {
-    alertChannelId: null,
-    alertEnabled: {},
-    lastSeenPlayers: {},
-    watches: new Map(),
-    nextWatchId: 1,
-    // NEW:
-    lobbyPingRoleId: null,
-    watchPingRoleId: null,
-    defaultRegion: null,
-    refreshChannelId: null,
-    lastRefreshMessageId: null,
-    watchChannelId: null
-  };
-  guildConfigs.set(guildId, cfg);
+// ----- Auto refresh panels -----
+// Each panel is one message that is edited in place with a region summary.
+// Its message id is saved with the guild config, so after a restart the
+// same message keeps being edited; if it was deleted a new one is posted.
+const REFRESH_LOOP_MS = 15 * 1000;
+
+function describeRefreshPanel(panel) {
+  const lobbies = panel.lobbyKeys
+    ? panel.lobbyKeys.map(key => (findLobbyByKey(key) || { label: key }).label).join(', ')
+    : `all ${panel.region.toUpperCase()} lobbies`;
+  return [
+    `Channel: <#${panel.channelId}>`,
+    `Lobbies: ${lobbies}`,
+    `Interval: ${panel.intervalMinutes} minute(s)`,
+    `Message: ${panel.messageId ? panel.messageId : 'not posted yet'}`
+  ].join('\n');
 }
 
-  return cfg;
+// Best effort: removes a panel's posted message after the panel was dropped
+// or moved to another channel.
+async function deleteRefreshPanelMessage(guild, panel) {
+  const channel = guild.channels.cache.get(panel.channelId);
+  if (channel && panel.messageId) {
+    await channel.messages.delete(panel.messageId).catch(() => {});
+  }
 }
 
-// Load saved config once on startup
-loadGuildConfigsFromDisk();
+async function refreshPanel(guild, cfg, panel) {
+  const channel = guild.channels.cache.get(panel.channelId);
+  if (!channel || !channel.isTextBased()) return;
+
+  let embeds = await buildRegionSummaryEmbeds(panel.region, panel.lobbyKeys, guild.id);
+  if (!embeds || embeds.length === 0) {
+    embeds = [
+      new EmbedBuilder()
+        .setTitle(`${panel.region.toUpperCase()} Lobby Summary`)
+        .setDescription('No lobby data available right now.')
+        .setColor(ORANGE)
+    ];
+  }
+  embeds = embeds.slice(0, 10);
+  embeds[embeds.length - 1].setFooter({
+    text: `Auto refresh every ${panel.intervalMinutes} min · panel ${panel.id}`
+  });
 
+  if (panel.messageId) {
+    try {
+      const existing = await channel.messages.fetch(panel.messageId);
+      await existing.edit({ embeds });
+      return;
+    } catch (err) {
+      // 10008 = Unknown Message: the panel was deleted, post a new one below
+      if (err.code !== 10008) throw err;
+    }
+  }
 
-// ----- Discord client -----
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent
-  ],
-  partials: [Partials.Channel]
-});
+  // no ping: we send only embeds, no content
+  const msg = await channel.send({ embeds });
+  panel.messageId = msg.id;
+  saveGuildConfigsToDisk();
+}
 
-client.once('ready', () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  // Start SOL price refresher
-  refreshSolPrice();
-  setInterval(refreshSolPrice, 60 * 1000);
+async function runRegionRefreshLoop() {
+  const now = Date.now();
 
-  // Start lobby polling for alerts/watches
-  setInterval(pollLobbiesAndProcessAlerts, 5000);
-  setInterval(runRegionRefreshLoop, 60 * 1000); // every minute
+  for (const [guildId, cfg] of guildConfigs.entries()) {
+    if (cfg.refreshPanels.size === 0) continue;
 
-});
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) continue;
 
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
-  if (!message.guild) return; // ignore DMs
-  if (!message.content.startsWith(PREFIX)) return;
+    for (const panel of cfg.refreshPanels.values()) {
+      if (!getRegions().includes(panel.region)) continue;
+      const dueAt = panel.lastRefreshAt
+        ? panel.lastRefreshAt.getTime() + panel.intervalMinutes * 60 * 1000
+        : 0;
+      if (now < dueAt) continue;
+
+      panel.lastRefreshAt = new Date(now);
+      try {
+        await refreshPanel(guild, cfg, panel);
+      } catch (err) {
+        console.error('runRegionRefreshLoop error for guild', guildId, 'panel', panel.id, err.message || err);
+      }
+    }
+  }
+}
 
-  const args = message.content.slice(PREFIX.length).trim().split(/\s+/);
-  const command = args.shift().toLowerCase();
 
+// ----- Config storage -----
+// Guild configs are saved through a small backend interface:
+//   { name, describe(), load() -> { doc, recovered } | null, save(doc) -> Promise }
+// where doc = { schemaVersion, guilds: { [guildId]: storedConfig },
+//               users: { [userId]: ,notify subscriptions } }.
+// CONFIG_STORAGE picks the backend: 'json' (default, GUILD_CONFIG_PATH) or
+// 'sqlite' (GUILD_CONFIG_DB_PATH, needs the optional better-sqlite3 package).
+// Saves are debounced; the JSON backend writes a temp file and renames it
+// over the old one, and keeps rolling backups it can recover from.
+const CONFIG_STORAGE = (process.env.CONFIG_STORAGE || 'json').toLowerCase();
+const CONFIG_DB_PATH =
+  process.env.GUILD_CONFIG_DB_PATH ||
+  path.join(path.dirname(CONFIG_PATH), 'discord-guild-config.sqlite');
+const CONFIG_SAVE_DEBOUNCE_MS = Number(process.env.CONFIG_SAVE_DEBOUNCE_MS) || 1000;
+// 0 disables backups; anything that is not a whole number keeps the default
+const CONFIG_BACKUPS = /^\d+$/.test(String(process.env.CONFIG_BACKUPS || '').trim())
+  ? Number(process.env.CONFIG_BACKUPS)
+  : 5;
+const CONFIG_BACKUP_INTERVAL_MS = (Number(process.env.CONFIG_BACKUP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Each migration upgrades one guild's stored config by one version.
+const CONFIG_MIGRATIONS = [
+  // v1: lobbyPingRoleId replaced pingRoleId, refresh panels replaced the single
+  // refreshChannelId, and watches got conditions instead of a player threshold.
+  stored => {
+    const out = { ...stored };
+    if (out.pingRoleId !== undefined) {
+      if (!out.lobbyPingRoleId) out.lobbyPingRoleId = out.pingRoleId;
+      delete out.pingRoleId;
+    }
+    if (!Array.isArray(out.refreshPanels) && out.refreshChannelId && out.defaultRegion) {
+      const id = out.nextRefreshPanelId || 1;
+      out.refreshPanels = [
+        { id, channelId: out.refreshChannelId, region: out.defaultRegion, lobbyKeys: null, intervalMinutes: 1, messageId: null, shorthand: true }
+      ];
+      out.nextRefreshPanelId = id + 1;
+    }
+    delete out.refreshChannelId;
+    if (Array.isArray(out.watches)) {
+      out.watches = out.watches.map(w => {
+        if (!isPlainObject(w) || w.condition) return w;
+        const { threshold, ...rest } = w;
+        return { ...rest, condition: { metric: 'players', op: '>=', value: threshold } };
+      });
+    }
+    return out;
+  }
+];
+const CONFIG_SCHEMA_VERSION = CONFIG_MIGRATIONS.length;
+
+function migrateGuildEntry(stored, fromVersion) {
+  let out = stored;
+  for (let v = fromVersion; v < CONFIG_SCHEMA_VERSION; v++) {
+    out = CONFIG_MIGRATIONS[v](out);
+  }
+  return out;
+}
+
+// Files written before schema versions were the bare { [guildId]: config } map.
+function readConfigDocument(doc) {
+  if (typeof doc.schemaVersion === 'number' && isPlainObject(doc.guilds)) {
+    return { version: doc.schemaVersion, guilds: doc.guilds, users: isPlainObject(doc.users) ? doc.users : {} };
+  }
+  return { version: 0, guilds: doc, users: {} };
+}
+
+// Writes to a temp file and renames it over the target, so readers (and a
+// restart after a crash) never see a half-written file.
+async function writeFileAtomic(filePath, text) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
   try {
-    if (command === 'lb') {
-  await handleLbCommand(message, args);
-} else if (command === 'us') {
-  await handleRegionSummaryCommand(message, 'us');
-} else if (command === 'eu') {
-  await handleRegionSummaryCommand(message, 'eu');
-} else if (command === 'alert') {
-  await handleAlertCommand(message, args);
-} else if (command === 'watch') {
-  await handleWatchCommand(message, args);
-} else if (command === 'config') {
-  await handleConfigCommand(message, args);
+    await handle.writeFile(text, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+function createJsonConfigStore(filePath, backups = CONFIG_BACKUPS) {
+  const backupPath = n => `${filePath}.bak.${n}`;
+  let lastRotationAt = 0;
+
+  function readDoc(p) {
+    const parsed = JSON.parse(fs.readFileSync(p, 'utf8'));
+    if (!isPlainObject(parsed)) throw new Error('not a JSON object');
+    return parsed;
+  }
+
+  // Shifts .bak.1 -> .bak.2 ... and copies the current (valid) file to .bak.1.
+  async function rotateBackups() {
+    if (backups <= 0 || !fs.existsSync(filePath)) return;
+    if (Date.now() - lastRotationAt < CONFIG_BACKUP_INTERVAL_MS) return;
+    try {
+      readDoc(filePath);
+    } catch (e) {
+      return; // never rotate a broken file into the backups
+    }
+    for (let n = backups - 1; n >= 1; n--) {
+      if (fs.existsSync(backupPath(n))) await fs.promises.rename(backupPath(n), backupPath(n + 1));
+    }
+    await fs.promises.copyFile(filePath, backupPath(1));
+    lastRotationAt = Date.now();
+  }
+
+  return {
+    name: 'json',
+    describe: () => filePath,
+
+    // Tries the main file, then the backups from newest to oldest.
+    load() {
+      const candidates = [filePath];
+      for (let n = 1; n <= backups; n++) candidates.push(backupPath(n));
+
+      for (const p of candidates) {
+        if (!fs.existsSync(p)) continue;
+        try {
+          const doc = readDoc(p);
+          if (p !== filePath) console.warn(`[CONFIG] Recovered guild config from backup ${p}`);
+          return { doc, recovered: p !== filePath };
+        } catch (err) {
+          console.error(`[CONFIG] ${p} is unreadable: ${err.message}`);
+          if (p === filePath) {
+            // keep the broken file for inspection; the next save replaces it
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.copyFileSync(filePath, corruptPath);
+            console.error(`[CONFIG] Saved a copy of the broken file to ${corruptPath}`);
+          }
+        }
+      }
+      return null;
+    },
+
+    async save(doc) {
+      await rotateBackups();
+      await writeFileAtomic(filePath, JSON.stringify(doc, null, 2));
+    }
+  };
 }
 
+// SQLite writes are transactional, so no temp files or backups are needed.
+function createSqliteConfigStore(dbPath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
   } catch (err) {
-    console.error('Command handler error:', err);
-    await message.reply('Something went wrong handling that command.');
+    throw new Error('CONFIG_STORAGE=sqlite needs the optional better-sqlite3 package (npm install --include=optional)');
   }
-});
 
-// Handle button interactions (leaderboard pagination)
-client.on('interactionCreate', async (interaction) => {
-  if (!interaction.isButton()) return;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS guild_configs (
+      guild_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS user_configs (
+      user_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+  `);
+
+  const selectRows = db.prepare('SELECT guild_id, data FROM guild_configs');
+  const selectVersion = db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'");
+  const deleteRows = db.prepare('DELETE FROM guild_configs');
+  const insertRow = db.prepare('INSERT INTO guild_configs (guild_id, data, updated_at) VALUES (?, ?, ?)');
+  const selectUserRows = db.prepare('SELECT user_id, data FROM user_configs');
+  const deleteUserRows = db.prepare('DELETE FROM user_configs');
+  const insertUserRow = db.prepare('INSERT INTO user_configs (user_id, data, updated_at) VALUES (?, ?, ?)');
+  const upsertVersion = db.prepare(
+    "INSERT INTO meta (key, value) VALUES ('schemaVersion', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  );
+  const writeAll = db.transaction(doc => {
+    const now = Date.now();
+    deleteRows.run();
+    for (const [guildId, stored] of Object.entries(doc.guilds)) {
+      insertRow.run(guildId, JSON.stringify(stored), now);
+    }
+    deleteUserRows.run();
+    for (const [userId, stored] of Object.entries(doc.users || {})) {
+      insertUserRow.run(userId, JSON.stringify(stored), now);
+    }
+    upsertVersion.run(String(doc.schemaVersion));
+  });
 
-  const id = interaction.customId;
-  if (!id.startsWith('lb_prev|') && !id.startsWith('lb_next|')) return;
+  return {
+    name: 'sqlite',
+    describe: () => dbPath,
 
-  const parts = id.split('|');
-  const action = parts[0]; // lb_prev or lb_next
-  const region = parts[1];
-  const lobbyNum = parseInt(parts[2], 10);
-  const page = parseInt(parts[3], 10);
+    load() {
+      const version = selectVersion.get();
+      const rows = selectRows.all();
+      if (!version && rows.length === 0) return null;
 
-  const lobbyDef = findLobby(region, lobbyNum);
-  if (!lobbyDef || !lobbyDef.url) {
-    await interaction.reply({ content: 'No API for this server.', ephemeral: true });
+      const guilds = {};
+      for (const row of rows) {
+        try {
+          guilds[row.guild_id] = JSON.parse(row.data);
+        } catch (err) {
+          console.error(`[CONFIG] Skipping unreadable config row for guild ${row.guild_id}`);
+        }
+      }
+      const users = {};
+      for (const row of selectUserRows.all()) {
+        try {
+          users[row.user_id] = JSON.parse(row.data);
+        } catch (err) {
+          console.error(`[CONFIG] Skipping unreadable config row for user ${row.user_id}`);
+        }
+      }
+      const schemaVersion = version ? Number(version.value) : CONFIG_SCHEMA_VERSION;
+      return { doc: { schemaVersion, guilds, users }, recovered: false };
+    },
+
+    async save(doc) {
+      writeAll(doc);
+    }
+  };
+}
+
+function createConfigStore() {
+  if (CONFIG_STORAGE === 'sqlite') return createSqliteConfigStore(CONFIG_DB_PATH);
+  if (CONFIG_STORAGE !== 'json') {
+    console.warn(`[CONFIG] Unknown CONFIG_STORAGE "${CONFIG_STORAGE}", using json`);
+  }
+  return createJsonConfigStore(CONFIG_PATH);
+}
+
+const configStore = createConfigStore();
+let configSaveTimer = null;
+let configSaveChain = Promise.resolve();
+
+// ----- Guild configuration (in-memory) -----
+// guildId -> {
+//   alertChannelId: string|null,
+//   alertEnabled: { [lobbyKey]: boolean },
+//   leaveAlertEnabled: { [lobbyKey]: boolean },
+//   alertDigest: { [lobbyKey]: number },  // digest window in minutes, missing = instant alerts
+//   alertDigestState: { [lobbyKey]: digest so far },
+//   alertRoutes: { [lobbyKey]: { channelId|null, roleId|null } },  // overrides alertChannelId / lobbyPingRoleId
+//   notifyRoles: { [lobbyKey | "region:<region>"]: roleId },  // opt-in roles from ,alert panel
+//   alertWarmup: { ["join|<lobbyKey>" | "whale|<lobbyKey>"]: polls left in the silent baseline },
+//   lastSeenPlayers: { [lobbyKey]: Set<string> },
+//   whaleThresholds: { ["<region|all>|<lobby|all>"]: number },
+//   whalePingRoleId: string|null,
+//   whaleAlerted: { [lobbyKey]: Set<string> },
+//   watches: Map<number, { id, lobbyKey, condition: { metric, op, value, size? }, intervalMinutes, lastAlertAt: Date|null }>,
+//   nextWatchId: number,
+//   tracks: Map<number, { id, name, privyId|null, channelId|null, roleId|null, lastLobbyKey }>,
+//   nextTrackId: number,
+//   defaultRegion?: string,
+//   refreshPanels: Map<number, { id, channelId, region, lobbyKeys: string[]|null, intervalMinutes, messageId|null, lastRefreshAt: Date|null, shorthand: boolean }>,
+//                  (shorthand = the panel managed by `,config refresh channel`)
+//   nextRefreshPanelId: number,
+//   managerRoleId: string|null,
+//   timeZone: string|null,      // IANA name, null = America/New_York
+//   timeFormat: string|null,    // '24h' | 'discord', null = 12h
+//   currency: string|null,      // 'sol' or lowercase fiat code, null = usd
+//   currencyShowBoth: boolean,  // also show SOL (or USD when currency is sol)
+//   minSize: number|null,       // leaderboard/summary default, null = size > 3
+//   playerLinks: { [userId]: { name, privyId|null } }
+// }
+const guildConfigs = new Map();
+// userId -> ,notify DM subscriptions (see the ,notify section); saved in the
+// same config document as the guilds
+const notifySubscriptions = new Map();
+
+// Builds the in-memory config from its saved form (see serializeGuildConfig).
+// `stored` must already be migrated to CONFIG_SCHEMA_VERSION.
+function deserializeGuildConfig(stored) {
+  const cfg = {
+    alertChannelId: stored.alertChannelId || null,
+    alertEnabled: stored.alertEnabled || {},
+    leaveAlertEnabled: stored.leaveAlertEnabled || {},
+    alertDigest: stored.alertDigest || {},
+    alertRoutes: stored.alertRoutes || {},
+    notifyRoles: stored.notifyRoles || {},
+    alertDigestState: {},         // rebuilt at runtime
+    alertWarmup: {},              // rebuilt at runtime
+    lastSeenPlayers: {},          // rebuilt at runtime
+    whaleThresholds: stored.whaleThresholds || {},
+    whalePingRoleId: stored.whalePingRoleId || null,
+    whaleAlerted: {},             // rebuilt at runtime
+    watches: new Map(),
+    nextWatchId: stored.nextWatchId || 1,
+    lobbyPingRoleId: stored.lobbyPingRoleId || null,
+    watchPingRoleId: stored.watchPingRoleId || null,
+    defaultRegion: stored.defaultRegion || null,
+    refreshPanels: new Map(),
+    nextRefreshPanelId: stored.nextRefreshPanelId || 1,
+    watchChannelId: stored.watchChannelId || null,
+    managerRoleId: stored.managerRoleId || null,
+    timeZone: stored.timeZone || null,
+    timeFormat: stored.timeFormat || null,
+    currency: stored.currency || null,
+    currencyShowBoth: !!stored.currencyShowBoth,
+    minSize: typeof stored.minSize === 'number' ? stored.minSize : null,
+    playerLinks: stored.playerLinks || {},
+    tracks: new Map(),
+    nextTrackId: stored.nextTrackId || 1
+  };
+
+  if (Array.isArray(stored.watches)) {
+    for (const w of stored.watches) {
+      cfg.watches.set(w.id, {
+        id: w.id,
+        lobbyKey: w.lobbyKey,
+        condition: w.condition,
+        intervalMinutes: w.intervalMinutes,
+        lastAlertAt: w.lastAlertAt ? new Date(w.lastAlertAt) : null
+      });
+    }
+  }
+
+  if (Array.isArray(stored.refreshPanels)) {
+    for (const p of stored.refreshPanels) {
+      cfg.refreshPanels.set(p.id, {
+        id: p.id,
+        channelId: p.channelId,
+        region: p.region,
+        lobbyKeys: Array.isArray(p.lobbyKeys) ? p.lobbyKeys : null,
+        intervalMinutes: p.intervalMinutes || 1,
+        messageId: p.messageId || null,
+        lastRefreshAt: null,
+        shorthand: Boolean(p.shorthand)
+      });
+    }
+  }
+
+  if (Array.isArray(stored.tracks)) {
+    for (const t of stored.tracks) {
+      cfg.tracks.set(t.id, {
+        id: t.id,
+        name: t.name,
+        privyId: t.privyId || null,
+        channelId: t.channelId || null,
+        roleId: t.roleId || null,
+        lastLobbyKey: undefined // rebuilt at runtime
+      });
+    }
+  }
+
+  return cfg;
+}
+
+// The saved (JSON) form of a guild's config; runtime-only state is left out.
+function serializeGuildConfig(cfg) {
+  return {
+    alertChannelId: cfg.alertChannelId || null,
+    alertEnabled: cfg.alertEnabled || {},
+    leaveAlertEnabled: cfg.leaveAlertEnabled || {},
+    alertDigest: cfg.alertDigest || {},
+    alertRoutes: cfg.alertRoutes || {},
+    notifyRoles: cfg.notifyRoles || {},
+    whaleThresholds: cfg.whaleThresholds || {},
+    whalePingRoleId: cfg.whalePingRoleId || null,
+    watches: Array.from(cfg.watches.values()).map(w => ({
+      id: w.id,
+      lobbyKey: w.lobbyKey,
+      condition: w.condition,
+      intervalMinutes: w.intervalMinutes,
+      lastAlertAt: w.lastAlertAt ? w.lastAlertAt.toISOString() : null
+    })),
+    nextWatchId: cfg.nextWatchId || 1,
+    // NEW: split ping roles
+    lobbyPingRoleId: cfg.lobbyPingRoleId || null,
+    watchPingRoleId: cfg.watchPingRoleId || null,
+    defaultRegion: cfg.defaultRegion || null,
+    refreshPanels: Array.from(cfg.refreshPanels.values()).map(p => ({
+      id: p.id,
+      channelId: p.channelId,
+      region: p.region,
+      lobbyKeys: p.lobbyKeys || null,
+      intervalMinutes: p.intervalMinutes,
+      messageId: p.messageId || null,
+      shorthand: Boolean(p.shorthand)
+    })),
+    nextRefreshPanelId: cfg.nextRefreshPanelId || 1,
+    watchChannelId: cfg.watchChannelId || null,
+    managerRoleId: cfg.managerRoleId || null,
+    timeZone: cfg.timeZone || null,
+    timeFormat: cfg.timeFormat || null,
+    currency: cfg.currency || null,
+    currencyShowBoth: !!cfg.currencyShowBoth,
+    minSize: typeof cfg.minSize === 'number' ? cfg.minSize : null,
+    playerLinks: cfg.playerLinks || {},
+    tracks: Array.from(cfg.tracks.values()).map(t => ({
+      id: t.id,
+      name: t.name,
+      privyId: t.privyId || null,
+      channelId: t.channelId || null,
+      roleId: t.roleId || null
+    })),
+    nextTrackId: cfg.nextTrackId || 1
+  };
+}
+
+function loadGuildConfigsFromDisk() {
+  let result = null;
+  try {
+    result = configStore.load();
+  } catch (err) {
+    console.error(`[CONFIG] Failed to load guild config from ${configStore.describe()}:`, err);
+  }
+
+  // first start on SQLite: bring over the existing JSON file
+  if (!result && configStore.name !== 'json' && fs.existsSync(CONFIG_PATH)) {
+    result = createJsonConfigStore(CONFIG_PATH, 0).load();
+    if (result) {
+      console.log(`[CONFIG] Importing ${CONFIG_PATH} into ${configStore.describe()}`);
+      result.recovered = true;
+    }
+  }
+
+  guildConfigs.clear();
+  notifySubscriptions.clear();
+  if (!result) return;
+
+  const { version, guilds, users } = readConfigDocument(result.doc);
+  if (version > CONFIG_SCHEMA_VERSION) {
+    console.warn(`[CONFIG] Config schema ${version} is newer than this bot (${CONFIG_SCHEMA_VERSION}); loading what it can`);
+  }
+  for (const [guildId, stored] of Object.entries(guilds)) {
+    if (!isPlainObject(stored)) continue;
+    guildConfigs.set(guildId, deserializeGuildConfig(migrateGuildEntry(stored, version)));
+  }
+  loadNotifySubscriptions(users);
+
+  // write back migrated or recovered data right away
+  if (version < CONFIG_SCHEMA_VERSION || result.recovered) saveGuildConfigsToDisk();
+
+  console.log(
+    `Loaded guild config for ${guildConfigs.size} guild(s) and DM subscriptions for ` +
+    `${notifySubscriptions.size} user(s) from ${configStore.describe()}`
+  );
+}
+
+function buildConfigDocument() {
+  const guilds = {};
+  for (const [guildId, cfg] of guildConfigs.entries()) {
+    guilds[guildId] = serializeGuildConfig(cfg);
+  }
+  return { schemaVersion: CONFIG_SCHEMA_VERSION, guilds, users: serializeNotifySubscriptions() };
+}
+
+function writeGuildConfigsNow() {
+  if (REPLAY_READ_ONLY) return configSaveChain;
+  const doc = buildConfigDocument();
+  configSaveChain = configSaveChain
+    .then(() => configStore.save(doc))
+    .catch(err => console.error('Failed to save guild config:', err));
+  return configSaveChain;
+}
+
+// Called after every settings change; changes within CONFIG_SAVE_DEBOUNCE_MS
+// are written together.
+function saveGuildConfigsToDisk() {
+  if (configSaveTimer) return;
+  configSaveTimer = setTimeout(() => {
+    configSaveTimer = null;
+    writeGuildConfigsNow();
+  }, CONFIG_SAVE_DEBOUNCE_MS);
+}
+
+// Writes any pending change immediately (used on shutdown).
+async function flushGuildConfigs() {
+  if (configSaveTimer) {
+    clearTimeout(configSaveTimer);
+    configSaveTimer = null;
+    writeGuildConfigsNow();
+  }
+  await configSaveChain;
+}
+
+function getGuildConfig(guildId) {
+  let cfg = guildConfigs.get(guildId);
+  if (!cfg) {
+  cfg = {
+    alertChannelId: null,
+    alertEnabled: {},
+    leaveAlertEnabled: {},
+    alertDigest: {},
+    alertRoutes: {},
+    notifyRoles: {},
+    alertDigestState: {},
+    alertWarmup: {},
+    lastSeenPlayers: {},
+    whaleThresholds: {},
+    whalePingRoleId: null,
+    whaleAlerted: {},
+    watches: new Map(),
+    nextWatchId: 1,
+    // NEW:
+    lobbyPingRoleId: null,
+    watchPingRoleId: null,
+    defaultRegion: null,
+    refreshPanels: new Map(),
+    nextRefreshPanelId: 1,
+    watchChannelId: null,
+    managerRoleId: null,
+    timeZone: null,
+    timeFormat: null,
+    currency: null,
+    currencyShowBoth: false,
+    minSize: null,
+    playerLinks: {},
+    tracks: new Map(),
+    nextTrackId: 1
+  };
+  guildConfigs.set(guildId, cfg);
+}
+
+  return cfg;
+}
+
+// ----- Alert state checkpoints -----
+// Runtime alert state (players already seen/announced per lobby, watch and
+// refresh timestamps, tracked players' last lobby, digests in progress, and
+// the lobby sessions that leave alerts and rejoins are measured from) is
+// saved to ALERT_STATE_PATH every ALERT_STATE_CHECKPOINT_SECONDS and on
+// shutdown, and restored on boot so a restart doesn't re-announce everyone.
+// Lobbies without (recent enough) saved state start with a silent baseline:
+// their first ALERT_WARMUP_POLLS polls only record who is there.
+const ALERT_STATE_PATH =
+  process.env.ALERT_STATE_PATH || path.join(path.dirname(CONFIG_PATH), 'alert-state.json');
+const ALERT_STATE_CHECKPOINT_MS = (Number(process.env.ALERT_STATE_CHECKPOINT_SECONDS) || 30) * 1000;
+const ALERT_STATE_MAX_AGE_MS = (Number(process.env.ALERT_STATE_MAX_AGE_MINUTES) || 30) * 60 * 1000;
+const ALERT_WARMUP_POLLS =
+  process.env.ALERT_WARMUP_POLLS !== undefined ? Math.max(0, Number(process.env.ALERT_WARMUP_POLLS) || 0) : 1;
+
+let lastAlertStateJson = null;
+let alertStateChain = Promise.resolve();
+
+const setsToLists = sets => Object.fromEntries(Object.entries(sets).map(([key, set]) => [key, [...set]]));
+const listsToSets = lists => Object.fromEntries(Object.entries(lists || {}).map(([key, ids]) => [key, new Set(ids)]));
+
+function buildAlertState() {
+  const guilds = {};
+  for (const [guildId, cfg] of guildConfigs.entries()) {
+    const digests = {};
+    for (const [key, d] of Object.entries(cfg.alertDigestState)) {
+      digests[key] = { ...d, joins: [...d.joins], leaves: [...d.leaves] };
+    }
+    guilds[guildId] = {
+      lastSeenPlayers: setsToLists(cfg.lastSeenPlayers),
+      whaleAlerted: setsToLists(cfg.whaleAlerted),
+      alertDigestState: digests,
+      watches: Object.fromEntries(
+        [...cfg.watches.values()].map(w => [w.id, w.lastAlertAt ? w.lastAlertAt.toISOString() : null])
+      ),
+      // undefined (no baseline yet) is left out
+      tracks: Object.fromEntries(
+        [...cfg.tracks.values()].filter(t => t.lastLobbyKey !== undefined).map(t => [t.id, t.lastLobbyKey])
+      ),
+      refreshPanels: Object.fromEntries(
+        [...cfg.refreshPanels.values()].map(p => [p.id, p.lastRefreshAt ? p.lastRefreshAt.toISOString() : null])
+      )
+    };
+  }
+  // dates are written as ISO strings by JSON.stringify
+  const sessions = {};
+  for (const [lobbyKey, byId] of lobbySessions.entries()) {
+    sessions[lobbyKey] = Object.fromEntries(byId);
+  }
+  return { guilds, sessions };
+}
+
+// Writes a checkpoint unless nothing changed since the last one.
+function saveAlertState() {
+  if (REPLAY_READ_ONLY) return alertStateChain;
+  const json = JSON.stringify(buildAlertState());
+  if (json === lastAlertStateJson) return alertStateChain;
+  lastAlertStateJson = json;
+
+  const doc = `{"savedAt":${Date.now()},${json.slice(1)}`;
+  alertStateChain = alertStateChain
+    .then(() => writeFileAtomic(ALERT_STATE_PATH, doc))
+    .catch(err => console.error('[STATE] Failed to save alert state:', err.message || err));
+  return alertStateChain;
+}
+
+function restoreAlertState() {
+  if (REPLAY_READ_ONLY) {
+    console.log('[STATE] Replaying; the saved alert state is ignored and a silent baseline is set');
+    return;
+  }
+  let doc;
+  try {
+    if (!fs.existsSync(ALERT_STATE_PATH)) {
+      console.log(`[STATE] No saved alert state; first ${ALERT_WARMUP_POLLS} poll(s) set a silent baseline`);
+      return;
+    }
+    doc = JSON.parse(fs.readFileSync(ALERT_STATE_PATH, 'utf8'));
+  } catch (err) {
+    console.error(`[STATE] Ignoring unreadable alert state ${ALERT_STATE_PATH}:`, err.message || err);
     return;
   }
+  if (!isPlainObject(doc) || !isPlainObject(doc.guilds)) return;
 
-  const snapshot = await getLobbySnapshot(lobbyDef);
-  if (!snapshot || snapshot.noApi) {
-    await interaction.reply({
-      content: 'Could not load lobby data right now. Please try again in a moment.',
-      ephemeral: true
-    });
+  const age = Date.now() - (doc.savedAt || 0);
+  if (age > ALERT_STATE_MAX_AGE_MS) {
+    console.log(`[STATE] Saved alert state is ${formatDuration(age)} old; setting a fresh baseline instead`);
     return;
   }
 
-  const players = snapshot.players
-    .filter(p => typeof p.size === 'number' && p.size > 3)
-    .sort((a, b) => (b.size || 0) - (a.size || 0));
+  // without the sessions, everyone who left during the downtime would get a
+  // leave alert with an unknown session length
+  for (const [lobbyKey, byId] of Object.entries(isPlainObject(doc.sessions) ? doc.sessions : {})) {
+    if (!findLobbyByKey(lobbyKey) || !isPlainObject(byId)) continue;
+    const sessions = new Map();
+    for (const [id, s] of Object.entries(byId)) {
+      if (!isPlainObject(s) || !isPlainObject(s.player)) continue;
+      sessions.set(id, {
+        player: s.player,
+        startedAt: new Date(s.startedAt),
+        lastSeenAt: new Date(s.lastSeenAt),
+        endedAt: s.endedAt ? new Date(s.endedAt) : null,
+        rejoinedAfterMs: typeof s.rejoinedAfterMs === 'number' ? s.rejoinedAfterMs : null
+      });
+    }
+    lobbySessions.set(lobbyKey, sessions);
+  }
 
-  const direction = action === 'lb_prev' ? -1 : 1;
-  const newPage = page + direction;
+  let restored = 0;
+  for (const [guildId, state] of Object.entries(doc.guilds)) {
+    const cfg = guildConfigs.get(guildId);
+    if (!cfg || !isPlainObject(state)) continue;
 
-  const { embed, components } = buildLbEmbed(lobbyDef, snapshot, players, newPage);
-  await interaction.update({ embeds: [embed], components });
+    cfg.lastSeenPlayers = listsToSets(state.lastSeenPlayers);
+    cfg.whaleAlerted = listsToSets(state.whaleAlerted);
+    for (const [key, d] of Object.entries(state.alertDigestState || {})) {
+      cfg.alertDigestState[key] = { ...d, joins: new Map(d.joins), leaves: new Map(d.leaves) };
+    }
+    for (const [id, at] of Object.entries(state.watches || {})) {
+      const watch = cfg.watches.get(Number(id));
+      if (watch) watch.lastAlertAt = at ? new Date(at) : null;
+    }
+    for (const [id, lobbyKey] of Object.entries(state.tracks || {})) {
+      const track = cfg.tracks.get(Number(id));
+      if (track) track.lastLobbyKey = lobbyKey;
+    }
+    for (const [id, at] of Object.entries(state.refreshPanels || {})) {
+      const panel = cfg.refreshPanels.get(Number(id));
+      if (panel) panel.lastRefreshAt = at ? new Date(at) : null;
+    }
+    restored++;
+  }
+  console.log(`[STATE] Restored alert state for ${restored} guild(s) (saved ${formatDuration(age)} ago)`);
+}
+
+// A seen-player set that is missing (not just empty) means there was no saved
+// state for it, so its next polls only set the baseline.
+function startAlertBaseline(cfg, stateKey) {
+  if (ALERT_WARMUP_POLLS > 0) cfg.alertWarmup[stateKey] = ALERT_WARMUP_POLLS;
+}
+
+// True (and counts down) while the baseline polls are running.
+function consumeAlertWarmup(cfg, stateKey) {
+  const left = cfg.alertWarmup[stateKey];
+  if (!left) return false;
+  if (left <= 1) delete cfg.alertWarmup[stateKey];
+  else cfg.alertWarmup[stateKey] = left - 1;
+  return true;
+}
+
+// Load lobby registry, saved config and alert state once on startup.
+// Without a registry there is nothing to poll, so refuse to start.
+if (!reloadLobbies().ok) {
+  console.error('[LOBBY] Fix lobbies.json (or LOBBIES_JSON / LOBBIES_PATH) and restart.');
+  process.exit(1);
+}
+loadGuildConfigsFromDisk();
+restoreAlertState();
+
+process.on('SIGHUP', () => {
+  const result = reloadLobbies();
+  if (result.ok) registerSlashCommands();
 });
 
-// ----- Leaderboard helpers -----
-function buildLbEmbed(lobbyDef, snapshot, players, page) {
-  const totalPages = Math.max(1, Math.ceil(players.length / LB_PAGE_SIZE));
-  let currentPage = page;
-  if (currentPage < 0) currentPage = 0;
-  if (currentPage > totalPages - 1) currentPage = totalPages - 1;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    Promise.all([flushGuildConfigs(), saveAlertState()]).finally(() => process.exit(0));
+  });
+}
 
-  const start = currentPage * LB_PAGE_SIZE;
-  const pagePlayers = players.slice(start, start + LB_PAGE_SIZE);
 
-  const embed = new EmbedBuilder()
-    .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
-    .setColor(ORANGE);
+// ----- Discord client -----
+const intents = [GatewayIntentBits.Guilds];
+if (PREFIX_COMMANDS_ENABLED) {
+  intents.push(GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.DirectMessages);
+}
 
- const headerLines = [
-  `Lobby: $${lobbyDef.lobby}   Region: ${lobbyDef.region.toUpperCase()}`,
-  `Players in lobby: ${players.length}`, // already filtered by size > 3
-  solPriceStatusLine(),
-  `Last updated: ${formatEtTime(snapshot.lastFetched || Date.now())}`,
-  `Page ${currentPage + 1}/${totalPages}`
-];
+const client = new Client({
+  intents,
+  partials: [Partials.Channel]
+});
 
+// Background loops; during replay the lobby/SOL loops follow the virtual clock
+// and nothing else touches the network.
+function startBackgroundTasks() {
+  // Start SOL price refresher
+  refreshSolPrice();
+  setInterval(refreshSolPrice, scaledInterval(60 * 1000));
+  if (!replay) {
+    refreshFiatRates();
+    setInterval(refreshFiatRates, FIAT_RATE_REFRESH_MS);
+  }
 
-  if (pagePlayers.length === 0) {
-    embed.setDescription(headerLines.join('\n') + '\n\nNo active players');
-  } else {
-    embed.setDescription(headerLines.join('\n'));
+  // Start lobby polling for alerts/watches
+  setInterval(pollLobbiesAndProcessAlerts, scaledInterval(5000));
+  if (!REPLAY_OFFLINE) {
+    setInterval(runRegionRefreshLoop, REFRESH_LOOP_MS); // panels have their own intervals
+  }
 
-    pagePlayers.forEach((p, index) => {
-      const rank = start + index + 1;
-      const name = p.name || p.privyId || p.id || 'Unknown';
+  // Checkpoint runtime alert state
+  setInterval(saveAlertState, ALERT_STATE_CHECKPOINT_MS);
 
-      const roundedSize = Math.round(p.size); // size to ones place
-      const usdDisplay =
-        typeof p.usdFromSol === 'number'
-          ? `$${p.usdFromSol.toFixed(2)}` // USD to 0.01
-          : '(price unavailable)';
+  // Expire and downsample the lobby history store
+  setTimeout(compactHistory, 60 * 1000);
+  setInterval(compactHistory, 60 * 60 * 1000);
+}
 
-      embed.addFields({
-        name: `#${rank} ${name}`,
-        value: `Size: ${roundedSize}\nUSD: ${usdDisplay}`,
-        inline: false
-      });
-    });
+client.once('ready', () => {
+  console.log(`Logged in as ${client.user.tag}`);
+  registerSlashCommands();
+  startBackgroundTasks();
+});
+
+// ----- Permissions -----
+// Commands that change server settings need Manage Server or the guild's
+// bot-manager role (`,config manager-role @role`). Everything else is open.
+// '*' = every subcommand except the bare command (which only shows info).
+const MANAGER_SUBCOMMANDS = {
+  alert: ['channel', 'on', 'off', 'leaves', 'digest', 'route', 'panel', 'whale'],
+  watch: ['add', 'remove', 'clear'],
+  track: ['add', 'remove'],
+  lobbies: ['reload'],
+  config: '*'
+};
+// read-only actions under an otherwise protected subcommand
+const READ_ONLY_ACTIONS = {
+  'alert whale': ['', 'list'],
+  'config refresh': ['', 'list'],
+  'config currency': ['']
+};
+
+function isSettingsChange(command, args) {
+  const protectedSubs = MANAGER_SUBCOMMANDS[command];
+  if (!protectedSubs) return false;
+
+  const sub = (args[0] || '').toLowerCase();
+  if (!sub) return false;
+  if (protectedSubs !== '*' && !protectedSubs.includes(sub)) return false;
+
+  const readOnly = READ_ONLY_ACTIONS[`${command} ${sub}`];
+  if (readOnly && readOnly.includes((args[1] || '').toLowerCase())) return false;
+  return true;
+}
 
+function hasManageGuild(member) {
+  return Boolean(
+    member && member.permissions && typeof member.permissions.has === 'function' &&
+      member.permissions.has(PermissionFlagsBits.ManageGuild)
+  );
+}
+
+function hasManagerRole(member, cfg) {
+  if (!member || !cfg.managerRoleId || !member.roles) return false;
+  // GuildMember has a role cache; uncached interaction members only carry ids
+  if (member.roles.cache) return member.roles.cache.has(cfg.managerRoleId);
+  return Array.isArray(member.roles) && member.roles.includes(cfg.managerRoleId);
+}
+
+function canManageBot(member, cfg) {
+  return hasManageGuild(member) || hasManagerRole(member, cfg);
+}
+
+function buildPermissionDeniedEmbed(cfg, { adminOnly = false } = {}) {
+  const needed = adminOnly || !cfg.managerRoleId
+    ? 'the **Manage Server** permission'
+    : `the **Manage Server** permission or the <@&${cfg.managerRoleId}> role`;
+  return new EmbedBuilder()
+    .setTitle('Permission denied')
+    .setDescription(
+      [
+        `This command changes the bot's settings for this server and needs ${needed}.`,
+        '',
+        'Read-only commands like `,lb`, `,alert list`, `,alert status`, `,watch list` and `,config` are open to everyone.'
+      ].join('\n')
+    )
+    .setColor(ORANGE);
+}
+
+// Shared by prefix and slash commands. `message` is either a real Message
+// or the context built by createInteractionContext().
+async function runCommand(message, command, args) {
+  if (isSettingsChange(command, args)) {
+    const cfg = getGuildConfig(message.guild.id);
+    if (!canManageBot(message.member, cfg)) {
+      await message.reply({ embeds: [buildPermissionDeniedEmbed(cfg)] });
+      return;
+    }
   }
 
-  const components = [];
-  if (totalPages > 1) {
-    const row = new ActionRowBuilder();
-    if (currentPage > 0) {
-      row.addComponents(
-        new ButtonBuilder()
-          .setCustomId(`lb_prev|${lobbyDef.region}|${lobbyDef.lobby}|${currentPage}`)
-          .setLabel('◀')
-          .setStyle(ButtonStyle.Secondary)
-      );
+  if (command === 'lb') {
+    await handleLbCommand(message, args);
+  } else if (command === 'alert') {
+    await handleAlertCommand(message, args);
+  } else if (command === 'watch') {
+    await handleWatchCommand(message, args);
+  } else if (command === 'config') {
+    await handleConfigCommand(message, args);
+  } else if (command === 'lobbies') {
+    await handleLobbiesCommand(message, args);
+  } else if (command === 'player') {
+    await handlePlayerCommand(message, args);
+  } else if (command === 'track') {
+    await handleTrackCommand(message, args);
+  } else if (command === 'link') {
+    await handleLinkCommand(message, args);
+  } else if (command === 'notify') {
+    await handleNotifyCommand(message, args);
+  } else if (command === 'unlink') {
+    await handleUnlinkCommand(message);
+  } else if (command === 'chart') {
+    await handleChartCommand(message, args);
+  } else if (command === 'stats') {
+    await handleStatsCommand(message, args);
+  } else if (getRegions().includes(command)) {
+    // ,us / ,eu / any other region from the lobby registry
+    await handleRegionSummaryCommand(message, command);
+  }
+}
+
+client.on('messageCreate', async (message) => {
+  if (!PREFIX_COMMANDS_ENABLED) return;
+  if (message.author.bot) return;
+  if (!message.content.startsWith(PREFIX)) return;
+
+  const args = message.content.slice(PREFIX.length).trim().split(/\s+/);
+  const command = args.shift().toLowerCase();
+  // DMs only take ,notify (personal settings); everything else is per server
+  if (!message.guild && command !== 'notify') return;
+
+  try {
+    await runCommand(message, command, args);
+  } catch (err) {
+    console.error('Command handler error:', err);
+    await message.reply('Something went wrong handling that command.');
+  }
+});
+
+// ----- Slash commands -----
+// Each slash command mirrors a prefix command. Options are turned back into
+// prefix args (in the order listed in the spec), channel/role options stand
+// in for message mentions and a 'file' attachment option for message
+// attachments, so both paths run the same handler code.
+//
+// spec:   { name, description, dm?, options?, subcommands?: [{ name, description, args?, options? }] }
+// option: { type, name, description, required?, autocomplete?, choices?, minValue?, argPrefix? }
+// `args` overrides the leading prefix args for a subcommand (default: [name]).
+// `argPrefix` is prepended to the option's value, e.g. 'sort:' -> `sort:usd`.
+const LOBBY_OPTION = {
+  type: 'string',
+  name: 'lobby',
+  description: 'Lobby stake, e.g. 5',
+  required: true,
+  autocomplete: true
+};
+const REGION_OPTION = {
+  type: 'string',
+  name: 'region',
+  description: 'Lobby region',
+  required: true,
+  choices: 'regions'
+};
+const LOBBY_OR_ALL_OPTION = { ...LOBBY_OPTION, description: 'Lobby stake, or "all"' };
+const REGION_OR_ALL_OPTION = { ...REGION_OPTION, description: 'Lobby region, or "all"', choices: 'regions-all' };
+
+function getSlashCommandSpecs() {
+  const specs = [
+    {
+      name: 'lb',
+      description: 'Show a lobby leaderboard',
+      options: [
+        LOBBY_OPTION,
+        REGION_OPTION,
+        {
+          type: 'string',
+          name: 'sort',
+          description: 'Sort order (default: size)',
+          argPrefix: 'sort:',
+          choices: LB_SORTS.map(s => ({ name: s, value: s }))
+        },
+        { type: 'number', name: 'min', description: 'Minimum size to list', argPrefix: 'min:', minValue: 0 },
+        { type: 'integer', name: 'top', description: 'Only list the top N players', argPrefix: 'top:', minValue: 1 }
+      ]
+    },
+    {
+      name: 'player',
+      description: 'Find which lobby a player is in',
+      options: [{ type: 'string', name: 'query', description: 'Player name or privyId', required: true }]
+    },
+    {
+      name: 'link',
+      description: 'Link yourself to a player for leaderboard "Find me"',
+      options: [{ type: 'string', name: 'player', description: 'Player name or privyId (empty: show link)' }]
+    },
+    { name: 'unlink', description: 'Remove your player link' },
+    {
+      name: 'chart',
+      description: 'Chart a lobby\'s active players and USD value',
+      options: [
+        LOBBY_OPTION,
+        REGION_OPTION,
+        {
+          type: 'string',
+          name: 'window',
+          description: 'Time window (default: 24h)',
+          choices: Object.keys(CHART_WINDOWS).map(w => ({ name: w, value: w }))
+        }
+      ]
+    },
+    {
+      name: 'stats',
+      description: 'Peak hours and session lengths for a lobby',
+      options: [LOBBY_OPTION, REGION_OPTION]
+    },
+    {
+      name: 'track',
+      description: 'Follow specific players across all lobbies',
+      subcommands: [
+        {
+          name: 'add',
+          description: 'Alert when a player enters or leaves any lobby',
+          options: [
+            { type: 'string', name: 'player', description: 'Player name or privyId', required: true },
+            { type: 'channel', name: 'channel', description: 'Channel for this track (default: alert channel)' },
+            { type: 'role', name: 'role', description: 'Role to ping' }
+          ]
+        },
+        { name: 'list', description: 'List tracked players' },
+        {
+          name: 'remove',
+          description: 'Stop tracking a player',
+          options: [{ type: 'integer', name: 'id', description: 'Track ID', required: true }]
+        }
+      ]
+    },
+    {
+      name: 'notify',
+      description: 'Personal lobby notifications by DM',
+      dm: true,
+      subcommands: [
+        {
+          name: 'lobby',
+          description: 'DM me when someone joins a lobby, or when it matches a condition',
+          args: ['me'],
+          options: [
+            LOBBY_OPTION,
+            REGION_OPTION,
+            { type: 'string', name: 'condition', description: 'e.g. players>=6, pot>500 (default: every join)' }
+          ]
+        },
+        {
+          name: 'player',
+          description: 'DM me when a player joins or moves lobby',
+          args: ['me', 'player'],
+          options: [{ type: 'string', name: 'player', description: 'Player name or privyId', required: true }]
+        },
+        { name: 'list', description: 'Show my DM notifications' },
+        {
+          name: 'stop',
+          description: 'Stop one DM notification, or all of them',
+          options: [{ type: 'integer', name: 'id', description: 'Notification ID (default: all)' }]
+        },
+        { name: 'resume', description: 'Turn paused DM notifications back on' }
+      ]
+    },
+    {
+      name: 'lobbies',
+      description: 'Show or reload the lobby registry',
+      subcommands: [
+        { name: 'list', description: 'Show all configured lobbies', args: [] },
+        { name: 'reload', description: 'Reload the lobby registry from disk' }
+      ]
+    },
+    {
+      name: 'alert',
+      description: 'Join alert settings',
+      subcommands: [
+        { name: 'on', description: 'Enable join alerts for a lobby', options: [LOBBY_OPTION, REGION_OPTION] },
+        { name: 'off', description: 'Disable join alerts for a lobby', options: [LOBBY_OPTION, REGION_OPTION] },
+        {
+          name: 'leaves',
+          description: 'Turn leave alerts on or off for a lobby',
+          options: [
+            {
+              type: 'string',
+              name: 'state',
+              description: 'on or off',
+              required: true,
+              choices: [{ name: 'on', value: 'on' }, { name: 'off', value: 'off' }]
+            },
+            LOBBY_OPTION,
+            REGION_OPTION
+          ]
+        },
+        {
+          name: 'digest',
+          description: 'Send a lobby\'s join/leave alerts as one summary every N minutes',
+          options: [
+            LOBBY_OPTION,
+            REGION_OPTION,
+            { type: 'string', name: 'minutes', description: 'Window in minutes, or "off" for instant alerts', required: true }
+          ]
+        },
+        {
+          name: 'route',
+          description: 'Send a lobby\'s alerts to its own channel and/or ping role',
+          options: [
+            LOBBY_OPTION,
+            REGION_OPTION,
+            { type: 'channel', name: 'channel', description: 'Alert channel for this lobby' },
+            { type: 'role', name: 'role', description: 'Role to ping for this lobby' }
+          ]
+        },
+        {
+          name: 'panel',
+          description: 'Post buttons that let members pick which lobby alerts ping them',
+          options: [{ type: 'channel', name: 'channel', description: 'Where to post the panel (default: here)' }]
+        },
+        {
+          name: 'route-clear',
+          description: 'Send a lobby\'s alerts to the server defaults again',
+          args: ['route', 'clear'],
+          options: [LOBBY_OPTION, REGION_OPTION]
+        },
+        {
+          name: 'whale',
+          description: 'Alert when a player\'s USD value crosses a threshold',
+          options: [
+            LOBBY_OR_ALL_OPTION,
+            REGION_OR_ALL_OPTION,
+            { type: 'number', name: 'usd', description: 'USD threshold', required: true, minValue: 0.01 }
+          ]
+        },
+        {
+          name: 'whale-off',
+          description: 'Remove a whale threshold',
+          args: ['whale', 'off'],
+          options: [LOBBY_OR_ALL_OPTION, REGION_OR_ALL_OPTION]
+        },
+        {
+          name: 'whale-role',
+          description: 'Set (or clear) the whale alert ping role',
+          args: ['whale', 'role'],
+          options: [{ type: 'role', name: 'role', description: 'Role to ping' }]
+        },
+        { name: 'whale-list', description: 'Show whale thresholds', args: ['whale', 'list'] },
+        {
+          name: 'channel',
+          description: 'Set the alert channel',
+          options: [{ type: 'channel', name: 'channel', description: 'Alert channel', required: true }]
+        },
+        { name: 'list', description: 'Show join alert state per lobby' },
+        { name: 'status', description: 'Show the alert channel and enabled lobbies' }
+      ]
+    },
+    {
+      name: 'watch',
+      description: 'Lobby player-count watches',
+      subcommands: [
+        {
+          name: 'add',
+          description: 'Alert when a lobby matches a condition',
+          options: [
+            LOBBY_OPTION,
+            REGION_OPTION,
+            {
+              type: 'string',
+              name: 'condition',
+              description: 'e.g. 6, players<3, pot>500, top>200, over100>=3',
+              required: true
+            },
+            { type: 'integer', name: 'minutes', description: 'Minutes between alerts', required: true, minValue: 1 }
+          ]
+        },
+        { name: 'list', description: 'List active watches' },
+        {
+          name: 'remove',
+          description: 'Remove a watch',
+          options: [{ type: 'integer', name: 'id', description: 'Watch ID', required: true }]
+        },
+        { name: 'clear', description: 'Remove all watches' }
+      ]
+    },
+    {
+      name: 'config',
+      description: 'Bot configuration for this server',
+      subcommands: [
+        { name: 'show', description: 'Show the current configuration', args: [] },
+        { name: 'default-region', description: 'Set the default region', options: [REGION_OPTION] },
+        {
+          name: 'timezone',
+          description: 'Set the time zone used for times (or "reset")',
+          options: [{ type: 'string', name: 'zone', description: 'IANA name, e.g. Europe/London', required: true }]
+        },
+        { name: 'export', description: 'Download this server\'s settings as a file', args: ['export'] },
+        {
+          name: 'import',
+          description: 'Load settings from an export file (shows a preview first)',
+          args: ['import'],
+          options: [{ type: 'attachment', name: 'file', description: 'File from /config export', required: true }]
+        },
+        {
+          name: 'min-size',
+          description: 'Default minimum size for leaderboards (or "reset")',
+          options: [{ type: 'string', name: 'size', description: 'e.g. 10, or reset', required: true }]
+        },
+        {
+          name: 'currency',
+          description: 'Show values in SOL, USD or another currency',
+          options: [
+            { type: 'string', name: 'code', description: 'sol, usd, eur, gbp, ...', required: true },
+            {
+              type: 'string',
+              name: 'show',
+              description: 'Also show the SOL amount',
+              choices: [{ name: 'both', value: 'both' }, { name: 'single', value: 'single' }]
+            }
+          ]
+        },
+        {
+          name: 'time-format',
+          description: 'Show times as 12h, 24h or Discord timestamps',
+          options: [
+            {
+              type: 'string',
+              name: 'format',
+              description: 'Time format',
+              required: true,
+              choices: TIME_FORMATS.map(f => ({ name: f, value: f }))
+            }
+          ]
+        },
+        {
+          name: 'lobby-role',
+          description: 'Set (or clear) the join alert ping role',
+          args: ['lobby', 'setrole'],
+          options: [{ type: 'role', name: 'role', description: 'Role to ping' }]
+        },
+        {
+          name: 'watch-role',
+          description: 'Set (or clear) the watch alert ping role',
+          args: ['watch', 'setrole'],
+          options: [{ type: 'role', name: 'role', description: 'Role to ping' }]
+        },
+        {
+          name: 'watch-channel',
+          description: 'Set (or clear) the watch alert channel',
+          args: ['watch', 'channel'],
+          options: [{ type: 'channel', name: 'channel', description: 'Watch alert channel' }]
+        },
+        {
+          name: 'refresh-add',
+          description: 'Add an auto refresh panel',
+          args: ['refresh', 'add'],
+          options: [
+            { type: 'channel', name: 'channel', description: 'Panel channel', required: true },
+            REGION_OPTION,
+            { type: 'string', name: 'lobbies', description: 'Stakes to show, e.g. 1,20 (default: all)' },
+            { type: 'integer', name: 'minutes', description: 'Refresh interval (default: 1)', minValue: 1 }
+          ]
+        },
+        {
+          name: 'refresh-remove',
+          description: 'Remove an auto refresh panel',
+          args: ['refresh', 'remove'],
+          options: [{ type: 'integer', name: 'id', description: 'Panel ID', required: true }]
+        },
+        { name: 'refresh-list', description: 'List auto refresh panels', args: ['refresh', 'list'] },
+        {
+          name: 'manager-role',
+          description: 'Set (or clear) the role that may change bot settings',
+          options: [{ type: 'role', name: 'role', description: 'Bot manager role' }]
+        }
+      ]
     }
-    if (currentPage < totalPages - 1) {
-      row.addComponents(
-        new ButtonBuilder()
-          .setCustomId(`lb_next|${lobbyDef.region}|${lobbyDef.lobby}|${currentPage}`)
-          .setLabel('▶')
-          .setStyle(ButtonStyle.Secondary)
+  ];
+
+  // one summary command per region (/us, /eu, ...)
+  for (const region of getRegions()) {
+    if (specs.some(s => s.name === region)) continue;
+    specs.push({ name: region, description: `${region.toUpperCase()} lobby summary` });
+  }
+
+  return specs;
+}
+
+function addSlashOption(builder, opt) {
+  const configure = o => {
+    o.setName(opt.name).setDescription(opt.description).setRequired(Boolean(opt.required));
+    if (opt.autocomplete) o.setAutocomplete(true);
+    if (opt.choices === 'regions' || opt.choices === 'regions-all') {
+      const regions = getRegions().map(r => ({ name: r.toUpperCase(), value: r }));
+      if (opt.choices === 'regions-all') regions.unshift({ name: 'All regions', value: 'all' });
+      o.addChoices(...regions.slice(0, 25));
+    } else if (Array.isArray(opt.choices)) {
+      o.addChoices(...opt.choices);
+    }
+    if (typeof opt.minValue === 'number') o.setMinValue(opt.minValue);
+    return o;
+  };
+
+  if (opt.type === 'string') builder.addStringOption(configure);
+  else if (opt.type === 'integer') builder.addIntegerOption(configure);
+  else if (opt.type === 'number') builder.addNumberOption(configure);
+  else if (opt.type === 'role') builder.addRoleOption(configure);
+  else if (opt.type === 'attachment') builder.addAttachmentOption(configure);
+  else if (opt.type === 'channel') {
+    builder.addChannelOption(o =>
+      configure(o).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+    );
+  }
+}
+
+function buildSlashCommandData() {
+  return getSlashCommandSpecs().map(spec => {
+    const builder = new SlashCommandBuilder()
+      .setName(spec.name)
+      .setDescription(spec.description)
+      .setContexts(
+        spec.dm ? [InteractionContextType.Guild, InteractionContextType.BotDM] : [InteractionContextType.Guild]
       );
+
+    for (const opt of spec.options || []) addSlashOption(builder, opt);
+    for (const sub of spec.subcommands || []) {
+      builder.addSubcommand(sc => {
+        sc.setName(sub.name).setDescription(sub.description);
+        for (const opt of sub.options || []) addSlashOption(sc, opt);
+        return sc;
+      });
+    }
+    return builder.toJSON();
+  });
+}
+
+async function registerSlashCommands() {
+  if (!client.application) return;
+  try {
+    const data = buildSlashCommandData();
+    if (SLASH_COMMAND_GUILD_ID) {
+      await client.application.commands.set(data, SLASH_COMMAND_GUILD_ID);
+    } else {
+      await client.application.commands.set(data);
+    }
+    console.log(`[SLASH] Registered ${data.length} slash command(s)`);
+  } catch (err) {
+    console.error('[SLASH] Failed to register slash commands:', err.message || err);
+  }
+}
+
+// Rebuilds the prefix-style command and args for a slash command invocation.
+function slashToPrefixArgs(interaction) {
+  const spec = getSlashCommandSpecs().find(s => s.name === interaction.commandName);
+  if (!spec) return null;
+
+  let args = [];
+  let options = spec.options || [];
+  const subName = interaction.options.getSubcommand(false);
+  if (subName) {
+    const sub = (spec.subcommands || []).find(s => s.name === subName);
+    if (!sub) return null;
+    args = sub.args ? [...sub.args] : [sub.name];
+    options = sub.options || [];
+  }
+
+  for (const opt of options) {
+    if (opt.type === 'channel' || opt.type === 'role' || opt.type === 'attachment') continue; // passed as mentions/attachments
+    const value = interaction.options.get(opt.name);
+    args.push(value ? `${opt.argPrefix || ''}${value.value}` : '');
+  }
+  while (args.length && args[args.length - 1] === '') args.pop();
+
+  return { command: spec.name, args };
+}
+
+// Wraps an interaction so the prefix handlers can use it like a Message.
+// The first reply edits the deferred response; later ones are follow-ups.
+function createInteractionContext(interaction) {
+  const channelOpt = interaction.options.getChannel('channel', false);
+  const roleOpt = interaction.options.getRole('role', false);
+  const fileOpt = interaction.options.getAttachment('file', false);
+  let replied = false;
+
+  return {
+    interaction,
+    guild: interaction.guild,
+    channel: interaction.channel,
+    member: interaction.member,
+    author: interaction.user,
+    mentions: {
+      channels: { first: () => channelOpt || undefined },
+      roles: { first: () => roleOpt || undefined }
+    },
+    attachments: new Map(fileOpt ? [[fileOpt.id, fileOpt]] : []),
+    async reply(payload) {
+      const options = typeof payload === 'string' ? { content: payload } : payload;
+      if (!replied) {
+        replied = true;
+        return interaction.editReply(options);
+      }
+      return interaction.followUp(options);
+    }
+  };
+}
+
+async function handleSlashCommand(interaction) {
+  const parsed = slashToPrefixArgs(interaction);
+  if (!parsed) return;
+
+  // the interaction token may already be gone (10062 Unknown interaction)
+  try {
+    await interaction.deferReply();
+  } catch (err) {
+    console.error('Slash command defer failed:', err.message || err);
+    return;
+  }
+  const ctx = createInteractionContext(interaction);
+  try {
+    await runCommand(ctx, parsed.command, parsed.args);
+  } catch (err) {
+    console.error('Slash command handler error:', err);
+    await ctx.reply('Something went wrong handling that command.').catch(() => {});
+  }
+}
+
+async function handleSlashAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  let choices = [];
+
+  if (focused.name === 'lobby') {
+    let region = interaction.options.getString('region');
+    if (region === 'all') region = null;
+    const typed = String(focused.value || '').replace(/^\$/, '').toLowerCase();
+    choices = LOBBIES
+      .filter(l => !region || l.region === region)
+      .filter(l => !typed || String(l.lobby).startsWith(typed) || l.label.toLowerCase().includes(typed))
+      .map(l => {
+        const name = region ? l.label : `$${l.lobby}`;
+        return { name: region && l.noApi ? `${name} (no API)` : name, value: String(l.lobby) };
+      });
+    // without a region yet, offer each stake once
+    if (!region) {
+      const seen = new Set();
+      choices = choices.filter(c => (seen.has(c.value) ? false : seen.add(c.value)));
+    }
+    const subName = interaction.options.getSubcommand(false) || '';
+    if (subName.startsWith('whale')) {
+      choices.unshift({ name: 'All lobbies', value: 'all' });
+    }
+  }
+
+  await interaction.respond(choices.slice(0, 25)).catch(() => {});
+}
+
+// Handle slash commands, autocomplete and button interactions
+client.on('interactionCreate', async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    await handleSlashAutocomplete(interaction);
+    return;
+  }
+  if (interaction.isChatInputCommand()) {
+    await handleSlashCommand(interaction);
+    return;
+  }
+  if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
+
+  const id = interaction.customId;
+  try {
+    if (id.startsWith('pl_prev|') || id.startsWith('pl_next|')) {
+      await handlePlayerPageButton(interaction);
+    } else if (id.startsWith('notifyrole|')) {
+      await handleNotifyRoleButton(interaction);
+    } else if (id.startsWith('cfgimport|')) {
+      await handleConfigImportButton(interaction);
+    } else if (id.startsWith('lb_switch|')) {
+      await handleLbSelect(interaction);
+    } else if (id.startsWith('lb_')) {
+      await handleLbButton(interaction);
+    }
+  } catch (err) {
+    console.error('Component handler error:', err);
+    if (interaction.replied || interaction.deferred) return;
+    await interaction
+      .reply({ content: 'These controls have expired. Run the command again.', ephemeral: true })
+      .catch(() => {});
+  }
+});
+
+// ----- Leaderboard helpers -----
+// `,lb` view options. They are carried through the leaderboard button
+// customIds (see lbCustomId) so paging keeps the view.
+const LB_SORTS = ['size', 'usd', 'name'];
+
+// Parses sort:/min:/top: options; returns { view } or { error }.
+function parseLbViewArgs(args, guildId) {
+  const view = { sort: 'size', minSize: getGuildMinSize(guildId), top: null };
+  for (const arg of args) {
+    if (!arg) continue;
+    const m = arg.match(/^(sort|min|top):(.+)$/i);
+    if (!m) return { error: `Unknown option "${arg}".` };
+    const key = m[1].toLowerCase();
+    const value = m[2].toLowerCase();
+
+    if (key === 'sort') {
+      if (!LB_SORTS.includes(value)) return { error: `Sort must be one of: ${LB_SORTS.join(', ')}.` };
+      view.sort = value;
+    } else if (key === 'min') {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) return { error: 'min: must be a size, e.g. `min:10`.' };
+      view.minSize = n;
+    } else {
+      const n = parseInt(value, 10);
+      if (!Number.isFinite(n) || n < 1) return { error: 'top: must be a positive number, e.g. `top:10`.' };
+      view.top = n;
+    }
+  }
+  return { view };
+}
+
+function encodeLbView(view) {
+  return `${view.sort}|${view.minSize === null ? '' : view.minSize}|${view.top === null ? '' : view.top}`;
+}
+
+// parts = customId fields after the page; older buttons have none
+function decodeLbView(parts) {
+  const sort = LB_SORTS.includes(parts[0]) ? parts[0] : 'size';
+  const minSize = parts[1] ? Number(parts[1]) : null;
+  const top = parts[2] ? parseInt(parts[2], 10) : null;
+  return {
+    sort,
+    minSize: Number.isFinite(minSize) ? minSize : null,
+    top: Number.isFinite(top) ? top : null
+  };
+}
+
+function describeLbView(view) {
+  const parts = [`sorted by ${view.sort}`];
+  if (view.minSize !== null) parts.push(`min size ${view.minSize}`);
+  if (view.top !== null) parts.push(`top ${view.top}`);
+  return parts.join(', ');
+}
+
+function comparePlayers(sort) {
+  if (sort === 'usd') {
+    return (a, b) => (b.monetaryValue || 0) - (a.monetaryValue || 0);
+  }
+  if (sort === 'name') {
+    return (a, b) =>
+      (a.name || a.privyId || a.id || '').localeCompare(b.name || b.privyId || b.id || '', 'en', { sensitivity: 'base' });
+  }
+  return (a, b) => (b.size || 0) - (a.size || 0);
+}
+
+function getLbPlayers(snapshot, view) {
+  const players = snapshot.players
+    .filter(p => meetsMinSize(p, view.minSize))
+    .sort(comparePlayers(view.sort));
+  return view.top !== null ? players.slice(0, view.top) : players;
+}
+
+// Pinned snapshots keep paging on one set of data so ranks don't shift
+// between pages. They live in memory only; buttons pointing at an expired
+// (or pre-restart) pin fall back to live data with a notice.
+const LB_PIN_TTL_MS = 15 * 60 * 1000;
+const pinnedLbSnapshots = new Map(); // pinId -> { lobbyKey, snapshot, expiresAt }
+
+function pinLbSnapshot(lobbyDef, snapshot) {
+  const now = Date.now();
+  for (const [id, pin] of pinnedLbSnapshots.entries()) {
+    if (pin.expiresAt <= now) pinnedLbSnapshots.delete(id);
+  }
+
+  const pinId = crypto.randomBytes(4).toString('hex');
+  pinnedLbSnapshots.set(pinId, {
+    lobbyKey: lobbyDef.key,
+    snapshot: {
+      players: snapshot.players.slice(),
+      playerCount: snapshot.playerCount,
+      lastFetched: snapshot.lastFetched
+    },
+    expiresAt: now + LB_PIN_TTL_MS
+  });
+  return pinId;
+}
+
+function getPinnedLbSnapshot(pinId, lobbyKey) {
+  const pin = pinnedLbSnapshots.get(pinId);
+  if (!pin || pin.lobbyKey !== lobbyKey) return null;
+  if (pin.expiresAt <= Date.now()) {
+    pinnedLbSnapshots.delete(pinId);
+    return null;
+  }
+  return pin.snapshot;
+}
+
+// customId: lb_<action>|region|lobby|page|sort|min|top|pinId
+function lbCustomId(action, lobbyDef, page, view, pinId) {
+  return `lb_${action}|${lobbyDef.region}|${lobbyDef.lobby}|${page}|${encodeLbView(view)}|${pinId || ''}`;
+}
+
+function buildLbComponents(lobbyDef, currentPage, totalPages, view, pinId) {
+  const button = (action, label, disabled = false) =>
+    new ButtonBuilder()
+      .setCustomId(lbCustomId(action, lobbyDef, currentPage, view, pinId))
+      .setLabel(label)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled);
+
+  const navRow = new ActionRowBuilder().addComponents(
+    button('first', '⏮', currentPage === 0),
+    button('prev', '◀', currentPage === 0),
+    button('refresh', '🔄'),
+    button('next', '▶', currentPage >= totalPages - 1),
+    button('last', '⏭', currentPage >= totalPages - 1)
+  );
+  const toolRow = new ActionRowBuilder().addComponents(
+    button('findme', 'Find me'),
+    pinId ? button('unpin', '📌 Unpin') : button('pin', '📌 Pin')
+  );
+
+  const lobbyOptions = LOBBIES.filter(l => l.url)
+    .slice(0, 25)
+    .map(l => ({
+      label: l.label,
+      value: `${l.region}|${l.lobby}`,
+      default: l.key === lobbyDef.key
+    }));
+  const rows = [navRow, toolRow];
+  if (lobbyOptions.length > 1) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`lb_switch|${encodeLbView(view)}`)
+          .setPlaceholder('Switch lobby')
+          .addOptions(lobbyOptions)
+      )
+    );
+  }
+  return rows;
+}
+
+// Answers a stale or unusable control without touching the message.
+async function replyLbNotice(interaction, content) {
+  await interaction.reply({ content, ephemeral: true });
+}
+
+async function handleLbButton(interaction) {
+  const parts = interaction.customId.split('|');
+  const action = parts[0].slice('lb_'.length);
+  const lobbyDef = findLobby(parts[1], parseLobbyNumber(parts[2]));
+  const page = parseInt(parts[3], 10) || 0;
+  const view = decodeLbView(parts.slice(4, 7));
+  let pinId = parts[7] || null;
+
+  if (!lobbyDef || !lobbyDef.url) {
+    await replyLbNotice(interaction, 'This leaderboard is no longer available. Run `,lb` again.');
+    return;
+  }
+
+  let notice = null;
+  let snapshot = null;
+  if (action === 'refresh' || action === 'unpin') pinId = null;
+  if (pinId) {
+    snapshot = getPinnedLbSnapshot(pinId, lobbyDef.key);
+    if (!snapshot) {
+      pinId = null;
+      notice = 'The pinned snapshot expired, so the leaderboard shows live data again.';
+    }
+  }
+  if (!snapshot) {
+    snapshot = await getLobbySnapshot(lobbyDef);
+    if (!snapshot || snapshot.noApi) {
+      await replyLbNotice(interaction, 'Could not load lobby data right now. Please try again in a moment.');
+      return;
+    }
+  }
+  if (action === 'pin') pinId = pinLbSnapshot(lobbyDef, snapshot);
+
+  const players = getLbPlayers(snapshot, view);
+  let newPage = page;
+  if (action === 'first') newPage = 0;
+  else if (action === 'prev') newPage = page - 1;
+  else if (action === 'next') newPage = page + 1;
+  else if (action === 'last') newPage = Math.ceil(players.length / LB_PAGE_SIZE) - 1;
+  else if (action === 'findme') {
+    const link = getPlayerLink(interaction.guildId, interaction.user.id);
+    if (!link) {
+      await replyLbNotice(interaction, 'Link your player first with `,link <name|privyId>`.');
+      return;
+    }
+    const index = players.findIndex(p => trackMatchesPlayer(link, p));
+    if (index === -1) {
+      await replyLbNotice(interaction, `${link.name} is not on this leaderboard right now.`);
+      return;
+    }
+    newPage = Math.floor(index / LB_PAGE_SIZE);
+  }
+
+  const { embed, components } = buildLbEmbed(lobbyDef, snapshot, players, newPage, interaction.guildId, view, pinId);
+  await interaction.update({ embeds: [embed], components });
+  if (notice) await interaction.followUp({ content: notice, ephemeral: true });
+}
+
+async function handleLbSelect(interaction) {
+  const parts = interaction.customId.split('|');
+  const view = decodeLbView(parts.slice(1, 4));
+  const [region, lobby] = (interaction.values[0] || '').split('|');
+  const lobbyDef = findLobby(region, parseLobbyNumber(lobby));
+
+  if (!lobbyDef || !lobbyDef.url) {
+    await replyLbNotice(interaction, 'That lobby is no longer available. Run `,lb` again.');
+    return;
+  }
+
+  const snapshot = await getLobbySnapshot(lobbyDef);
+  if (!snapshot || snapshot.noApi) {
+    await replyLbNotice(interaction, 'Could not load lobby data right now. Please try again in a moment.');
+    return;
+  }
+
+  const players = getLbPlayers(snapshot, view);
+  const { embed, components } = buildLbEmbed(lobbyDef, snapshot, players, 0, interaction.guildId, view);
+  await interaction.update({ embeds: [embed], components });
+}
+
+function buildLbEmbed(lobbyDef, snapshot, players, page, guildId = null, view = null, pinId = null) {
+  view = view || { sort: 'size', minSize: null, top: null };
+  const totalPages = Math.max(1, Math.ceil(players.length / LB_PAGE_SIZE));
+  let currentPage = page;
+  if (currentPage < 0) currentPage = 0;
+  if (currentPage > totalPages - 1) currentPage = totalPages - 1;
+
+  const start = currentPage * LB_PAGE_SIZE;
+  const pagePlayers = players.slice(start, start + LB_PAGE_SIZE);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
+    .setColor(ORANGE);
+
+ const headerLines = [
+  `Lobby: $${lobbyDef.lobby}   Region: ${lobbyDef.region.toUpperCase()}`,
+  `Players in lobby: ${players.length}`, // already filtered by min size
+  `View: ${describeLbView(view)}`,
+  solPriceStatusLine(guildId),
+  `Last updated: ${formatGuildTime(snapshot.lastFetched || Date.now(), guildId)}`,
+  `Page ${currentPage + 1}/${totalPages}`
+];
+  const pin = pinId ? pinnedLbSnapshots.get(pinId) : null;
+  if (pin) headerLines.push(`📌 Pinned snapshot until ${formatGuildTime(pin.expiresAt, guildId)}`);
+
+
+  if (pagePlayers.length === 0) {
+    embed.setDescription(headerLines.join('\n') + '\n\nNo active players');
+  } else {
+    embed.setDescription(headerLines.join('\n'));
+
+    pagePlayers.forEach((p, index) => {
+      const rank = start + index + 1;
+      const name = p.name || p.privyId || p.id || 'Unknown';
+
+      const roundedSize = Math.round(p.size); // size to ones place
+      const valueDisplay = formatPlayerValue(p, guildId);
+
+      embed.addFields({
+        name: `#${rank} ${name}`,
+        value: `Size: ${roundedSize}\nValue: ${valueDisplay}`,
+        inline: false
+      });
+    });
+
+  }
+
+  const components = buildLbComponents(lobbyDef, currentPage, totalPages, view, pinId);
+
+  return { embed, components };
+}
+
+// ----- ,lb command -----
+async function handleLbCommand(message, args) {
+  if (args.length < 2) {
+    const embed = new EmbedBuilder()
+      .setTitle('Leaderboard Command')
+      .setDescription(
+        [
+          'Usage: `,lb <lobby> <region> [sort:size|usd|name] [min:<size>] [top:<n>]`',
+          'Example: `,lb 20 us sort:usd top:10`'
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const resolved = resolveLobbyArgs(args[0], args[1]);
+  if (!resolved.lobbyDef) {
+    const embed = buildInvalidLobbyEmbed(
+      resolved,
+      'Usage: `,lb <lobby> <region>`\nExample: `,lb 5 us`'
+    );
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+  const lobbyDef = resolved.lobbyDef;
+
+  const parsedView = parseLbViewArgs(args.slice(2), message.guild.id);
+  if (parsedView.error) {
+    const embed = new EmbedBuilder()
+      .setTitle('Invalid leaderboard option')
+      .setDescription(
+        `${parsedView.error}\nUsage: \`,lb <lobby> <region> [sort:size|usd|name] [min:<size>] [top:<n>]\``
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // EU $5 has no API
+  if (!lobbyDef.url) {
+    const embed = new EmbedBuilder()
+      .setTitle(lobbyDef.label)
+      .setDescription('No API for this server.')
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const snapshot = await getLobbySnapshot(lobbyDef);
+  if (!snapshot || snapshot.noApi) {
+    const embed = new EmbedBuilder()
+      .setTitle('Error')
+      .setDescription(
+        'Could not load lobby data right now. The game server might be offline or unreachable. Please try again in a moment.'
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const players = getLbPlayers(snapshot, parsedView.view);
+
+  const { embed, components } = buildLbEmbed(lobbyDef, snapshot, players, 0, message.guild.id, parsedView.view);
+  await message.reply({ embeds: [embed], components });
+}
+// lobbyKeys: optional subset of the region's lobbies to include
+async function buildRegionSummaryEmbeds(region, lobbyKeys = null, guildId = null) {
+  const embeds = [];
+
+  for (const lobbyDef of getLobbiesInRegion(region)) {
+    if (!lobbyDef.url) continue; // skip no-API lobbies
+    if (lobbyKeys && !lobbyKeys.includes(lobbyDef.key)) continue;
+
+    const snapshot = await getLobbySnapshot(lobbyDef);
+    if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+
+    const activePlayers = snapshot.players
+      .filter(p => meetsMinSize(p, getGuildMinSize(guildId)))
+      .sort((a, b) => {
+        const usdA = typeof a.usdFromSol === 'number' ? a.usdFromSol : 0;
+        const usdB = typeof b.usdFromSol === 'number' ? b.usdFromSol : 0;
+        return usdB - usdA;
+      });
+
+    const top5 = activePlayers.slice(0, 5);
+    const lastUpdated = formatGuildTime(snapshot.lastFetched || Date.now(), guildId);
+
+    const lines = top5.map((p, idx) => {
+      const rank = idx + 1;
+      const name = p.name || p.privyId || p.id || 'Unknown';
+      return `#${rank} ${name} - ${formatPlayerValue(p, guildId)}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
+      .setColor(ORANGE)
+      .setDescription(
+        [
+          `Lobby: $${lobbyDef.lobby}   Region: ${region.toUpperCase()}`,
+          `Players in lobby: ${activePlayers.length}`,
+          `Last updated: ${lastUpdated}`,
+          '',
+          lines.length ? lines.join('\n') : 'No active players'
+        ].join('\n')
+      );
+
+    embeds.push(embed);
+  }
+
+  return embeds;
+}
+
+async function handleRegionSummaryCommand(message, region) {
+  const guildId = message.guild.id;
+  const embeds = [];
+
+  for (const lobbyDef of getLobbiesInRegion(region)) {
+    if (!lobbyDef.url) continue; // skip no-API lobbies
+
+    const snapshot = await getLobbySnapshot(lobbyDef);
+    if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+
+    // only players meeting the guild's min size, sorted by USD desc
+    const activePlayers = snapshot.players
+      .filter(p => meetsMinSize(p, getGuildMinSize(guildId)))
+      .sort((a, b) => {
+        const usdA = typeof a.usdFromSol === 'number' ? a.usdFromSol : 0;
+        const usdB = typeof b.usdFromSol === 'number' ? b.usdFromSol : 0;
+        return usdB - usdA;
+      });
+
+    const top5 = activePlayers.slice(0, 5);
+
+    const lines = top5.map((p, idx) => {
+      const rank = idx + 1;
+      const name = p.name || p.privyId || p.id || 'Unknown';
+      return `#${rank} ${name} - ${formatPlayerValue(p, guildId)}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
+      .setColor(ORANGE)
+      .setDescription(
+        [
+          `Lobby: $${lobbyDef.lobby}   Region: ${region.toUpperCase()}`,
+          `Players in lobby: ${activePlayers.length}`,
+          '',
+          lines.length ? lines.join('\n') : 'No active players'
+        ].join('\n')
+      );
+
+    embeds.push(embed);
+  }
+
+  if (embeds.length === 0) {
+    const embed = new EmbedBuilder()
+      .setTitle(`${region.toUpperCase()} Lobby Summary`)
+      .setColor(ORANGE)
+      .setDescription('No lobby data available right now.');
+    await message.reply({ embeds: [embed] });
+  } else {
+    // one message, multiple boxes (one per lobby)
+    await message.reply({ embeds });
+  }
+}
+
+// ----- ,player command -----
+const PLAYER_PAGE_SIZE = 5;
+// The query is carried in the paging button customIds (100 chars max).
+const PLAYER_QUERY_MAX_LENGTH = 80;
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Higher is better, 0 = no match. privyId/id must match exactly;
+// names match case-insensitively, by substring, in order, or within a typo or two.
+function scorePlayerMatch(player, query) {
+  if (player.privyId === query || player.id === query) return 100;
+
+  const name = (player.name || '').toLowerCase();
+  const q = query.toLowerCase();
+  if (!name || !q) return 0;
+  if (name === q) return 90;
+  if (name.startsWith(q)) return 80;
+  if (name.includes(q)) return 70;
+
+  // all query characters appear in order, e.g. "dmbr" -> "damnbruh"
+  let pos = 0;
+  for (const ch of name) {
+    if (ch === q[pos]) pos++;
+    if (pos === q.length) return 50;
+  }
+
+  const maxTypos = Math.max(1, Math.floor(q.length / 4));
+  if (Math.abs(name.length - q.length) <= maxTypos && levenshtein(name, q) <= maxTypos) {
+    return 40;
+  }
+  return 0;
+}
+
+// Searches every cached lobby. Rank is the player's position on that
+// lobby's `,lb` leaderboard (null when they are not on it, i.e. size <= 3).
+function findPlayersAcrossLobbies(query) {
+  const matches = [];
+
+  for (const lobbyDef of LOBBIES) {
+    const snapshot = lobbyCache.get(lobbyDef.key);
+    if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+
+    const ranked = snapshot.players
+      .filter(isActivePlayer)
+      .sort((a, b) => (b.size || 0) - (a.size || 0));
+
+    for (const player of snapshot.players) {
+      const score = scorePlayerMatch(player, query);
+      if (score === 0) continue;
+      const rankIndex = ranked.indexOf(player);
+      matches.push({
+        lobbyDef,
+        snapshot,
+        player,
+        score,
+        rank: rankIndex === -1 ? null : rankIndex + 1,
+        rankedCount: ranked.length
+      });
+    }
+  }
+
+  return matches.sort(
+    (a, b) => b.score - a.score || (b.player.size || 0) - (a.player.size || 0)
+  );
+}
+
+function buildPlayerSearchEmbed(query, matches, page, guildId = null) {
+  const totalPages = Math.max(1, Math.ceil(matches.length / PLAYER_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+  const start = currentPage * PLAYER_PAGE_SIZE;
+  const pageMatches = matches.slice(start, start + PLAYER_PAGE_SIZE);
+  const lobbyCount = new Set(matches.map(m => m.lobbyDef.key)).size;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Player search: ${query}`.slice(0, 256))
+    .setColor(ORANGE);
+
+  const headerLines = [
+    `${matches.length} match(es) in ${lobbyCount} lobby(s)`,
+    solPriceStatusLine(guildId),
+    `Page ${currentPage + 1}/${totalPages}`
+  ];
+
+  if (pageMatches.length === 0) {
+    embed.setDescription(
+      `No player matching "${query}" is in any lobby right now.\n\n${solPriceStatusLine(guildId)}`
+    );
+  } else {
+    embed.setDescription(headerLines.join('\n'));
+    for (const m of pageMatches) {
+      const p = m.player;
+      const name = p.name || p.privyId || p.id || 'Unknown';
+      const size = typeof p.size === 'number' ? Math.round(p.size) : '?';
+      const valueDisplay = formatPlayerValue(p, guildId);
+      const rankText = m.rank ? `#${m.rank} of ${m.rankedCount}` : 'not ranked (size 3 or less)';
+
+      embed.addFields({
+        name: `${name} - ${m.lobbyDef.label}`,
+        value: `Size: ${size}\nValue: ${valueDisplay}\nRank: ${rankText}\nLast updated: ${formatGuildTime(m.snapshot.lastFetched || Date.now(), guildId)}`,
+        inline: false
+      });
+    }
+  }
+
+  // query goes last in the customId so it may contain "|"; its length is
+  // capped by handlePlayerCommand so every page runs the same search
+  const components = [];
+  if (totalPages > 1) {
+    const row = new ActionRowBuilder();
+    if (currentPage > 0) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`pl_prev|${currentPage}|${query}`)
+          .setLabel('◀')
+          .setStyle(ButtonStyle.Secondary)
+      );
+    }
+    if (currentPage < totalPages - 1) {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`pl_next|${currentPage}|${query}`)
+          .setLabel('▶')
+          .setStyle(ButtonStyle.Secondary)
+      );
+    }
+    if (row.components.length > 0) {
+      components.push(row);
+    }
+  }
+
+  return { embed, components };
+}
+
+async function handlePlayerCommand(message, args) {
+  const query = args.join(' ').trim();
+  if (!query) {
+    const embed = new EmbedBuilder()
+      .setTitle('Player Lookup')
+      .setDescription(
+        [
+          'Usage: `,player <name|privyId>`',
+          'Searches every lobby for players matching that name (case-insensitive, typos allowed) or exact privyId.'
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (query.length > PLAYER_QUERY_MAX_LENGTH) {
+    const embed = new EmbedBuilder()
+      .setTitle('Query too long')
+      .setDescription(`Player searches are limited to ${PLAYER_QUERY_MAX_LENGTH} characters.`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const matches = findPlayersAcrossLobbies(query);
+  const { embed, components } = buildPlayerSearchEmbed(query, matches, 0, message.guild.id);
+  await message.reply({ embeds: [embed], components });
+}
+
+async function handlePlayerPageButton(interaction) {
+  const parts = interaction.customId.split('|');
+  const action = parts[0]; // pl_prev or pl_next
+  const page = parseInt(parts[1], 10) || 0;
+  const query = parts.slice(2).join('|');
+
+  const matches = findPlayersAcrossLobbies(query);
+  const direction = action === 'pl_prev' ? -1 : 1;
+  const { embed, components } = buildPlayerSearchEmbed(query, matches, page + direction, interaction.guildId);
+  await interaction.update({ embeds: [embed], components });
+}
+
+// ----- ,track command -----
+// A track follows one player: by privyId when we could resolve it, otherwise
+// by exact (case-insensitive) name.
+// Resolves a name or privyId to { name, privyId }; privyId is only set when
+// the player is online and the match is unambiguous.
+function resolvePlayerIdentity(query) {
+  const exact = findPlayersAcrossLobbies(query).filter(m => m.score >= 90);
+  const ids = new Set(exact.map(m => m.player.privyId || m.player.id).filter(Boolean));
+  if (ids.size !== 1) return { name: query, privyId: null };
+  const p = exact[0].player;
+  return { name: p.name || query, privyId: p.privyId || p.id };
+}
+
+// Also used for player links, which have the same { name, privyId } shape.
+function trackMatchesPlayer(track, player) {
+  const id = player.privyId || player.id;
+  if (track.privyId) return id === track.privyId;
+  return Boolean(player.name) && player.name.toLowerCase() === track.name.toLowerCase();
+}
+
+function describeTrack(track) {
+  const who = track.privyId ? `${track.name} (${track.privyId})` : track.name;
+  const channelText = track.channelId ? `<#${track.channelId}>` : 'alert channel';
+  const roleText = track.roleId ? `<@&${track.roleId}>` : 'no ping';
+  return `${who}\nChannel: ${channelText}\nPing: ${roleText}`;
+}
+
+// Strips channel/role mention tokens so only the player name remains.
+function stripMentionArgs(args) {
+  return args.filter(a => !/^<(#|@&)\d+>$/.test(a));
+}
+
+async function handleTrackCommand(message, args) {
+  const guildId = message.guild.id;
+  const cfg = getGuildConfig(guildId);
+
+  const sub = (args[0] || '').toLowerCase();
+
+  if (!sub) {
+    const embed = new EmbedBuilder()
+      .setTitle('Player Tracking')
+      .setDescription(
+        [
+          'Usage:',
+          '  `,track add <name|privyId> [#channel] [@role]`',
+          '  `,track list`',
+          '  `,track remove <id>`'
+        ].join('\n')
+      )
+      .setFooter({ text: 'Tracked players get an alert when they enter or leave any lobby' })
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,track add <player> [#channel] [@role]
+  if (sub === 'add') {
+    const query = stripMentionArgs(args.slice(1)).join(' ').trim();
+    if (!query) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(
+          'Usage: `,track add <name|privyId> [#channel] [@role]`\nExample: `,track add DamnBruh #tracking @followers`'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const channel = message.mentions.channels.first();
+    if (channel && !channel.isTextBased()) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid channel')
+        .setDescription('Please mention a text channel for track alerts.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    if (!channel && !cfg.alertChannelId) {
+      const embed = new EmbedBuilder()
+        .setTitle('Alert channel not set')
+        .setDescription('Mention a channel for this track, or use `,alert channel #channel` first.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const role = message.mentions.roles.first();
+
+    const { name, privyId } = resolvePlayerIdentity(query);
+    const exact = findPlayersAcrossLobbies(query).filter(m => m.score >= 90);
+
+    const id = cfg.nextTrackId++;
+    cfg.tracks.set(id, {
+      id,
+      name,
+      privyId,
+      channelId: channel ? channel.id : null,
+      roleId: role ? role.id : null,
+      lastLobbyKey: undefined
+    });
+    saveGuildConfigsToDisk();
+
+    const onlineText = exact.length
+      ? `Currently in: ${[...new Set(exact.map(m => m.lobbyDef.label))].join(', ')}`
+      : 'Not in any lobby right now.';
+    const embed = new EmbedBuilder()
+      .setTitle('Player tracked')
+      .setDescription(
+        [
+          describeTrack(cfg.tracks.get(id)),
+          onlineText,
+          privyId ? '' : 'Matching by name until the player is seen online.'
+        ].join('\n').trim()
+      )
+      .setFooter({ text: `Track ID ${id}` })
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,track list
+  if (sub === 'list') {
+    if (cfg.tracks.size === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('No tracked players')
+        .setDescription('Use `,track add <name|privyId>` to follow a player.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('Tracked Players')
+      .setColor(ORANGE);
+    for (const [id, track] of cfg.tracks.entries()) {
+      const where = track.lastLobbyKey ? findLobbyByKey(track.lastLobbyKey) : null;
+      embed.addFields({
+        name: `${track.name} (ID ${id})`,
+        value: `${describeTrack(track)}\nNow: ${where ? where.label : 'not in a lobby'}`,
+        inline: false
+      });
+    }
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,track remove <id>
+  if (sub === 'remove') {
+    const id = parseInt(args[1], 10);
+    if (!cfg.tracks.has(id)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Track not found')
+        .setDescription(
+          `No track found with ID ${args[1] || '?'}.\nUse \`,track list\` to see tracked players.`
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const track = cfg.tracks.get(id);
+    cfg.tracks.delete(id);
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('Track removed')
+      .setDescription(`No longer tracking ${track.name}.`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('Unknown subcommand')
+    .setDescription('Usage: `,track add <name|privyId> [#channel] [@role]`, `,track list`, `,track remove <id>`')
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+// ----- ,link command -----
+// Members link themselves to a player (per server) so leaderboard
+// "Find me" buttons can jump straight to them.
+function getPlayerLink(guildId, userId) {
+  const cfg = guildId ? guildConfigs.get(guildId) : null;
+  return (cfg && cfg.playerLinks[userId]) || null;
+}
+
+async function handleLinkCommand(message, args) {
+  const cfg = getGuildConfig(message.guild.id);
+  const userId = message.author.id;
+  const query = args.join(' ').trim();
+
+  if (!query) {
+    const link = cfg.playerLinks[userId];
+    const embed = new EmbedBuilder()
+      .setTitle('Player Link')
+      .setDescription(
+        [
+          link
+            ? `You are linked to ${link.privyId ? `${link.name} (${link.privyId})` : link.name}.`
+            : 'You are not linked to a player.',
+          '',
+          'Usage: `,link <name|privyId>`, `,unlink`'
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const identity = resolvePlayerIdentity(query);
+  cfg.playerLinks[userId] = identity;
+  saveGuildConfigsToDisk();
+
+  const embed = new EmbedBuilder()
+    .setTitle('Player linked')
+    .setDescription(
+      identity.privyId
+        ? `Linked you to ${identity.name} (${identity.privyId}).`
+        : `Linked you to "${identity.name}". They aren't online right now, so the link matches by name.`
+    )
+    .setFooter({ text: 'Use "Find me" on a leaderboard to jump to your page' })
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+async function handleUnlinkCommand(message) {
+  const cfg = getGuildConfig(message.guild.id);
+  const existed = Boolean(cfg.playerLinks[message.author.id]);
+  delete cfg.playerLinks[message.author.id];
+  if (existed) saveGuildConfigsToDisk();
+
+  const embed = new EmbedBuilder()
+    .setTitle(existed ? 'Player unlinked' : 'Not linked')
+    .setDescription(existed ? 'Your player link was removed.' : 'You were not linked to a player.')
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+// ----- ,notify command -----
+// Personal DM notifications. Subscriptions belong to the user, not a guild.
+// They are kept in notifySubscriptions and saved through the config store
+// (see "Config storage") under users:
+//   { [userId]: { nextId, dmClosedAt: string|null, subscriptions: [
+//       { id, type: 'lobby', lobbyKey, condition|null, guildId|null }     // joins, or a watch condition
+//     | { id, type: 'player', name, privyId|null, guildId|null } ] } }
+// guildId is where the subscription was made; its time zone and currency are
+// used in the DMs. When a user's DMs are closed (50007) their notifications
+// pause until they run ,notify resume.
+const NOTIFY_MAX_SUBSCRIPTIONS = 10;
+
+// "userId|subId" -> { lastSeenIds: Set, conditionMet: boolean, lastLobbyKey } (runtime only;
+// a missing entry means the next poll only sets the baseline)
+const notifyRuntime = new Map();
+
+function loadNotifySubscriptions(users) {
+  for (const [userId, entry] of Object.entries(users)) {
+    if (!isPlainObject(entry) || !Array.isArray(entry.subscriptions)) continue;
+    notifySubscriptions.set(userId, {
+      nextId: entry.nextId || 1,
+      dmClosedAt: entry.dmClosedAt || null,
+      subscriptions: entry.subscriptions
+    });
+  }
+}
+
+function serializeNotifySubscriptions() {
+  const users = {};
+  for (const [userId, entry] of notifySubscriptions.entries()) {
+    if (entry.subscriptions.length === 0) continue;
+    users[userId] = entry;
+  }
+  return users;
+}
+
+function describeNotifySubscription(sub) {
+  if (sub.type === 'player') {
+    return `${sub.privyId ? `${sub.name} (${sub.privyId})` : sub.name} joins or moves lobby`;
+  }
+  const lobbyDef = findLobbyByKey(sub.lobbyKey);
+  const label = lobbyDef ? lobbyDef.label : sub.lobbyKey;
+  return sub.condition ? `${label}: ${formatWatchCondition(sub.condition)}` : `${label}: every join`;
+}
+
+// 'sent', 'closed' (the user doesn't accept DMs from the bot) or 'failed'.
+async function deliverDm(userId, payload) {
+  try {
+    if (REPLAY_OFFLINE) {
+      await createConsoleChannel('DM', `@${userId}`).send(payload);
+      return 'sent';
+    }
+    const user = await client.users.fetch(userId);
+    await user.send(payload);
+    return 'sent';
+  } catch (err) {
+    // 50007 = Cannot send messages to this user
+    if (err.code === 50007) return 'closed';
+    console.error(`[NOTIFY] DM to ${userId} failed:`, err.message || err);
+    return 'failed';
+  }
+}
+
+// What a lobby subscription should DM about this poll, or null.
+function checkLobbySubscription(sub, runtime) {
+  const lobbyDef = findLobbyByKey(sub.lobbyKey);
+  const snapshot = lobbyCache.get(sub.lobbyKey);
+  if (!lobbyDef || !snapshot || snapshot.noApi || !lobbySessions.has(sub.lobbyKey)) return null;
+
+  if (sub.condition) {
+    const value = getWatchMetricValue(sub.condition, snapshot);
+    if (value === null) return null;
+    const met = WATCH_OPERATORS[sub.condition.op](value, sub.condition.value);
+    const wasMet = runtime.conditionMet;
+    runtime.conditionMet = met;
+    // only the moment the condition becomes true
+    if (wasMet === undefined || !met || wasMet) return null;
+    return {
+      title: 'Lobby Watch',
+      lines: [
+        `${lobbyDef.label} lobby: ${formatWatchMetricValue(sub.condition, value)}.`,
+        `Condition: ${formatWatchCondition(sub.condition)}.`
+      ]
+    };
+  }
+
+  const present = getPresentPlayers(sub.lobbyKey);
+  const previous = runtime.lastSeenIds;
+  runtime.lastSeenIds = new Set(present.keys());
+  if (!previous) return null;
+
+  const joins = [...present.entries()].filter(([id]) => !previous.has(id)).map(([, s]) => s.player);
+  if (joins.length === 0) return null;
+  const activeCount = snapshot.players.filter(isActivePlayer).length;
+  return {
+    title: joins.length === 1 ? 'Lobby Join' : 'Lobby Joins',
+    lines: [
+      `Joined ${lobbyDef.label} lobby:`,
+      ...joins.map(p => `• ${p.name || p.privyId || p.id || 'Unknown'} - ${formatPlayerValue(p, sub.guildId)}`),
+      `Lobby players: ${activeCount}.`
+    ]
+  };
+}
+
+function checkPlayerSubscription(sub, runtime) {
+  let found = null;
+  for (const lobby of LOBBIES) {
+    for (const session of getPresentPlayers(lobby.key).values()) {
+      if (trackMatchesPlayer(sub, session.player)) {
+        found = { lobby, player: session.player };
+        break;
+      }
+    }
+    if (found) break;
+  }
+
+  const prevKey = runtime.lastLobbyKey;
+  runtime.lastLobbyKey = found ? found.lobby.key : null;
+  if (!found || prevKey === undefined || prevKey === found.lobby.key) return null;
+
+  // name-only subscriptions lock onto the privyId once the player is seen
+  const id = found.player.privyId || found.player.id;
+  if (!sub.privyId && id) {
+    sub.privyId = id;
+    saveGuildConfigsToDisk();
+  }
+
+  const prevLobby = prevKey ? findLobbyByKey(prevKey) : null;
+  const p = found.player;
+  return {
+    title: prevKey ? 'Player Moved' : 'Player Joined',
+    lines: [
+      prevKey
+        ? `${sub.name} moved from ${prevLobby ? prevLobby.label : prevKey} to ${found.lobby.label} lobby.`
+        : `${sub.name} joined ${found.lobby.label} lobby.`,
+      `Size: ${Math.round(p.size)}   Value: ${formatPlayerValue(p, sub.guildId)}`
+    ]
+  };
+}
+
+async function processNotifySubscriptions() {
+  for (const [userId, entry] of notifySubscriptions.entries()) {
+    if (entry.dmClosedAt) continue;
+
+    for (const sub of entry.subscriptions) {
+      const runtimeKey = `${userId}|${sub.id}`;
+      if (!notifyRuntime.has(runtimeKey)) notifyRuntime.set(runtimeKey, {});
+      const runtime = notifyRuntime.get(runtimeKey);
+
+      const dm = sub.type === 'player'
+        ? checkPlayerSubscription(sub, runtime)
+        : checkLobbySubscription(sub, runtime);
+      if (!dm) continue;
+
+      const embed = new EmbedBuilder()
+        .setTitle(dm.title)
+        .setDescription([...dm.lines, formatGuildTime(clockDate(), sub.guildId)].join('\n'))
+        .setFooter({ text: `Subscription ${sub.id} · ,notify stop ${sub.id} to stop` })
+        .setColor(ORANGE);
+      const result = await deliverDm(userId, { embeds: [embed] });
+      if (result === 'closed') {
+        entry.dmClosedAt = new Date().toISOString();
+        saveGuildConfigsToDisk();
+        console.warn(`[NOTIFY] DMs are closed for user ${userId}; pausing their notifications`);
+        break;
+      }
+    }
+  }
+}
+
+// Makes sure a DM actually arrives before notifications are (re)enabled;
+// commands sent by DM already prove it. Replies and returns false on failure.
+async function sendNotifyTestDm(message, text) {
+  if (!message.guild) return true;
+  const test = new EmbedBuilder()
+    .setTitle('DM notifications on')
+    .setDescription(text)
+    .setColor(ORANGE);
+  const result = await deliverDm(message.author.id, { embeds: [test] });
+  if (result === 'sent') return true;
+
+  const embed = new EmbedBuilder()
+    .setTitle('Can\'t DM you')
+    .setDescription(
+      result === 'closed'
+        ? 'Your DMs are closed to me. Enable "Direct Messages" for this server in its Privacy Settings, then try again.'
+        : 'Sending you a DM failed. Please try again later.'
+    )
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+  return false;
+}
+
+async function handleNotifyCommand(message, args) {
+  const userId = message.author.id;
+  const guildId = message.guild ? message.guild.id : null;
+  const sub = (args[0] || '').toLowerCase();
+  const usage = [
+    'Usage:',
+    '  `,notify me <lobby> <region> [players>=N]`',
+    '  `,notify me player <name|privyId>`',
+    '  `,notify list`',
+    '  `,notify stop [id|all]`',
+    '  `,notify resume`'
+  ].join('\n');
+
+  let entry = notifySubscriptions.get(userId);
+
+  if (sub === 'list') {
+    const subs = entry ? entry.subscriptions : [];
+    const lines = subs.length
+      ? subs.map(s => `**${s.id}.** ${describeNotifySubscription(s)}`)
+      : ['You have no DM notifications.'];
+    if (entry && entry.dmClosedAt) {
+      lines.push('', '⚠ I couldn\'t DM you, so these are paused. Allow DMs from this server and run `,notify resume`.');
+    }
+    const embed = new EmbedBuilder()
+      .setTitle('Your DM Notifications')
+      .setDescription(lines.join('\n'))
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub === 'stop') {
+    const target = (args[1] || 'all').toLowerCase();
+    if (!entry || entry.subscriptions.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('Nothing to stop')
+        .setDescription('You have no DM notifications.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    let removed;
+    if (target === 'all') {
+      removed = entry.subscriptions;
+      entry.subscriptions = [];
+    } else {
+      const id = parseInt(target, 10);
+      removed = entry.subscriptions.filter(s => s.id === id);
+      entry.subscriptions = entry.subscriptions.filter(s => s.id !== id);
+    }
+    if (removed.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('Not found')
+        .setDescription(`You have no DM notification with ID ${target}. See \`,notify list\`.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    for (const s of removed) notifyRuntime.delete(`${userId}|${s.id}`);
+    if (entry.subscriptions.length === 0) notifySubscriptions.delete(userId);
+    saveGuildConfigsToDisk();
+
+    const embed = new EmbedBuilder()
+      .setTitle('DM notifications stopped')
+      .setDescription(removed.map(s => `• ${describeNotifySubscription(s)}`).join('\n'))
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub === 'resume') {
+    if (!entry || !entry.dmClosedAt) {
+      const embed = new EmbedBuilder()
+        .setTitle('Nothing to resume')
+        .setDescription(entry ? 'Your DM notifications are not paused.' : 'You have no DM notifications.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    if (!(await sendNotifyTestDm(message, 'I can DM you again, so your notifications are back on.'))) return;
+
+    entry.dmClosedAt = null;
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('DM notifications resumed')
+      .setDescription(entry.subscriptions.map(s => `**${s.id}.** ${describeNotifySubscription(s)}`).join('\n'))
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub !== 'me') {
+    const embed = new EmbedBuilder()
+      .setTitle('DM Notifications')
+      .setDescription(usage)
+      .setFooter({ text: 'Notifications are sent to you by DM and follow you across servers' })
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,notify me player <name> | ,notify me <lobby> <region> [condition]
+  let subscription;
+  if ((args[1] || '').toLowerCase() === 'player') {
+    const query = args.slice(2).join(' ').trim();
+    if (!query) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription('Usage: `,notify me player <name|privyId>`')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    subscription = { type: 'player', ...resolvePlayerIdentity(query), guildId };
+  } else {
+    const resolved = resolveLobbyArgs(args[1], args[2]);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, 'Example: `,notify me 20 us players>=6`');
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    if (!resolved.lobbyDef.url) {
+      const embed = new EmbedBuilder()
+        .setTitle(resolved.lobbyDef.label)
+        .setDescription('No API for this server.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const condition = args[3] ? parseWatchCondition(args[3]) : null;
+    if (args[3] && !condition) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid condition')
+        .setDescription('Examples: `players>=6`, `pot>500`, `top>200`, `over100>=3`')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    subscription = { type: 'lobby', lobbyKey: resolved.lobbyDef.key, condition, guildId };
+  }
+
+  const existing = entry ? entry.subscriptions : [];
+  const duplicate = existing.find(s =>
+    describeNotifySubscription(s).toLowerCase() === describeNotifySubscription(subscription).toLowerCase()
+  );
+  const pausedHint = entry && entry.dmClosedAt
+    ? '\n\nYour notifications are paused because I couldn\'t DM you. Run `,notify resume` once DMs are open.'
+    : '';
+  if (duplicate) {
+    const embed = new EmbedBuilder()
+      .setTitle('Already subscribed')
+      .setDescription(`You already get DMs for this (ID ${duplicate.id}).${pausedHint}`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+  if (existing.length >= NOTIFY_MAX_SUBSCRIPTIONS) {
+    const embed = new EmbedBuilder()
+      .setTitle('Too many notifications')
+      .setDescription(`You can have up to ${NOTIFY_MAX_SUBSCRIPTIONS}. Remove one with \`,notify stop <id>\`.${pausedHint}`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (!(await sendNotifyTestDm(message, `I'll DM you here when: ${describeNotifySubscription(subscription)}.`))) return;
+
+  if (!entry) {
+    entry = { nextId: 1, dmClosedAt: null, subscriptions: [] };
+    notifySubscriptions.set(userId, entry);
+  }
+  entry.dmClosedAt = null;
+  subscription = { id: entry.nextId++, ...subscription };
+  entry.subscriptions.push(subscription);
+  saveGuildConfigsToDisk();
+
+  const embed = new EmbedBuilder()
+    .setTitle('DM notification added')
+    .setDescription(
+      [
+        `**${subscription.id}.** ${describeNotifySubscription(subscription)}`,
+        subscription.type === 'player' && !subscription.privyId
+          ? 'That player isn\'t online right now, so they are matched by name.'
+          : null
+      ].filter(Boolean).join('\n')
+    )
+    .setFooter({ text: ',notify list · ,notify stop <id>' })
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+// ----- Charts -----
+// Charts are drawn into an RGBA buffer and encoded as PNG in-process
+// (zlib + CRC32), so no canvas package or chart service is needed.
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CHART_MARGIN = { left: 56, right: 64, top: 16, bottom: 36 };
+const CHART_COLORS = {
+  background: [0x2b, 0x2d, 0x31],
+  grid: [0x40, 0x44, 0x4b],
+  text: [0xb5, 0xba, 0xc1],
+  players: [0xff, 0xa5, 0x00],
+  usd: [0x58, 0x65, 0xf2]
+};
+const CHART_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+// 3x5 pixel glyphs for axis labels
+const CHART_FONT = {
+  '0': ['111', '101', '101', '101', '111'],
+  '1': ['010', '110', '010', '010', '111'],
+  '2': ['111', '001', '111', '100', '111'],
+  '3': ['111', '001', '111', '001', '111'],
+  '4': ['101', '101', '111', '001', '001'],
+  '5': ['111', '100', '111', '001', '111'],
+  '6': ['111', '100', '111', '101', '111'],
+  '7': ['111', '001', '010', '010', '010'],
+  '8': ['111', '101', '111', '101', '111'],
+  '9': ['111', '101', '111', '001', '111'],
+  '$': ['011', '110', '010', '011', '110'],
+  '.': ['000', '000', '000', '000', '010'],
+  ':': ['000', '010', '000', '010', '000'],
+  '/': ['001', '001', '010', '100', '100'],
+  '-': ['000', '000', '111', '000', '000'],
+  'k': ['100', '101', '110', '101', '101'],
+  ' ': ['000', '000', '000', '000', '000']
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC32_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+function encodePng(image) {
+  const { width, height, data } = image;
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  ihdr[10] = 0;
+  ihdr[11] = 0;
+  ihdr[12] = 0;
+
+  // each scanline starts with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function createImage(width, height, color) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = color[0];
+    data[i * 4 + 1] = color[1];
+    data[i * 4 + 2] = color[2];
+    data[i * 4 + 3] = 0xff;
+  }
+  return { width, height, data };
+}
+
+function setPixel(image, x, y, color) {
+  x = Math.round(x);
+  y = Math.round(y);
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+  const i = (y * image.width + x) * 4;
+  image.data[i] = color[0];
+  image.data[i + 1] = color[1];
+  image.data[i + 2] = color[2];
+  image.data[i + 3] = 0xff;
+}
+
+function drawLine(image, x0, y0, x1, y1, color, thickness = 1) {
+  x0 = Math.round(x0);
+  y0 = Math.round(y0);
+  x1 = Math.round(x1);
+  y1 = Math.round(y1);
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy;
+
+  for (;;) {
+    for (let t = 0; t < thickness; t++) {
+      setPixel(image, x0, y0 + t, color);
+      setPixel(image, x0 + t, y0, color);
+    }
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x0 += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y0 += sy;
+    }
+  }
+}
+
+// align: 'left' | 'right' | 'center'
+function drawText(image, x, y, text, color, scale = 2, align = 'left') {
+  const glyphWidth = 4 * scale; // 3px glyph + 1px spacing
+  const width = text.length * glyphWidth - scale;
+  let cx = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+  for (const ch of text) {
+    const glyph = CHART_FONT[ch] || CHART_FONT[' '];
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < 3; gx++) {
+        if (row[gx] !== '1') continue;
+        for (let px = 0; px < scale; px++) {
+          for (let py = 0; py < scale; py++) {
+            setPixel(image, cx + gx * scale + px, y + gy * scale + py, color);
+          }
+        }
+      }
+    });
+    cx += glyphWidth;
+  }
+}
+
+// Rounds an axis maximum up to 1, 2, 2.5 or 5 times a power of ten.
+function niceAxisMax(value, minimum) {
+  const v = Math.max(value, minimum);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(v)));
+  for (const step of [1, 2, 2.5, 5, 10]) {
+    if (v <= step * magnitude) return step * magnitude;
+  }
+  return 10 * magnitude;
+}
+
+function formatCompactUsd(value) {
+  if (value >= 1000) return `$${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}k`;
+  return `$${Math.round(value)}`;
+}
+
+function formatChartTimeLabel(ms, windowMs, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  for (const p of formatter.formatToParts(new Date(ms))) parts[p.type] = p.value;
+  return windowMs > CHART_WINDOWS['24h']
+    ? `${parts.month}/${parts.day}`
+    : `${parts.hour}:${parts.minute}`;
+}
+
+// Turns history records into per-sample { t, players, usd } points.
+// usd is null when the SOL price was unknown at that moment.
+function historyToChartPoints(records) {
+  return records.map(r => {
+    let usd = null;
+    if (typeof r.sol === 'number' && r.sol > 0) {
+      usd = (r.p || []).reduce((sum, p) => sum + (typeof p[3] === 'number' ? p[3] * r.sol : 0), 0);
+    }
+    return { t: r.t, players: r.active, usd };
+  });
+}
+
+// Averages points into one bucket per plot column; empty buckets are null.
+function bucketChartPoints(points, since, until, bucketCount) {
+  const bucketMs = (until - since) / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, () => ({ n: 0, players: 0, usdN: 0, usd: 0 }));
+  for (const p of points) {
+    const i = Math.min(bucketCount - 1, Math.floor((p.t - since) / bucketMs));
+    if (i < 0) continue;
+    buckets[i].n++;
+    buckets[i].players += p.players;
+    if (p.usd !== null) {
+      buckets[i].usdN++;
+      buckets[i].usd += p.usd;
+    }
+  }
+  return buckets.map((b, i) => ({
+    t: since + (i + 0.5) * bucketMs,
+    players: b.n ? b.players / b.n : null,
+    usd: b.usdN ? b.usd / b.usdN : null
+  }));
+}
+
+function plotSeries(image, buckets, key, axisMax, color, maxGapBuckets) {
+  const plotW = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotH = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const xOf = i => CHART_MARGIN.left + (i + 0.5) * (plotW / buckets.length);
+  const yOf = v => CHART_MARGIN.top + plotH - (v / axisMax) * plotH;
+
+  let prev = null;
+  buckets.forEach((b, i) => {
+    const v = b[key];
+    if (v === null) return;
+    if (prev && i - prev.i <= maxGapBuckets) {
+      drawLine(image, xOf(prev.i), yOf(prev.v), xOf(i), yOf(v), color, 2);
+    } else {
+      setPixel(image, xOf(i), yOf(v), color);
+    }
+    prev = { i, v };
+  });
+}
+
+// Renders active players (left axis) and total lobby USD (right axis).
+function renderLobbyChart(points, since, until, timeZone) {
+  const image = createImage(CHART_WIDTH, CHART_HEIGHT, CHART_COLORS.background);
+  const plotW = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotH = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const buckets = bucketChartPoints(points, since, until, plotW);
+
+  const maxPlayers = Math.max(0, ...buckets.map(b => b.players || 0));
+  const maxUsd = Math.max(0, ...buckets.map(b => b.usd || 0));
+  // keep player gridlines on whole numbers
+  const playersAxis = Math.ceil(niceAxisMax(maxPlayers, 4) / 4) * 4;
+  const usdAxis = niceAxisMax(maxUsd, 10);
+
+  // horizontal grid + axis labels
+  const gridLines = 4;
+  for (let g = 0; g <= gridLines; g++) {
+    const y = CHART_MARGIN.top + plotH - (g / gridLines) * plotH;
+    drawLine(image, CHART_MARGIN.left, y, CHART_MARGIN.left + plotW, y, CHART_COLORS.grid);
+    drawText(image, CHART_MARGIN.left - 6, y - 5, String((playersAxis * g) / gridLines), CHART_COLORS.players, 2, 'right');
+    drawText(image, CHART_MARGIN.left + plotW + 6, y - 5, formatCompactUsd((usdAxis * g) / gridLines), CHART_COLORS.usd, 2, 'left');
+  }
+
+  // time labels
+  const ticks = 5;
+  for (let k = 0; k <= ticks; k++) {
+    const x = CHART_MARGIN.left + (k / ticks) * plotW;
+    const t = since + (k / ticks) * (until - since);
+    drawLine(image, x, CHART_MARGIN.top + plotH, x, CHART_MARGIN.top + plotH + 4, CHART_COLORS.grid);
+    const align = k === 0 ? 'left' : k === ticks ? 'right' : 'center';
+    drawText(image, x, CHART_MARGIN.top + plotH + 10, formatChartTimeLabel(t, until - since, timeZone), CHART_COLORS.text, 2, align);
+  }
+
+  // bridge short gaps (missed polls), break the line on longer outages
+  const bucketMs = (until - since) / plotW;
+  const maxGapBuckets = Math.max(4, Math.ceil((5 * 60 * 1000) / bucketMs));
+  plotSeries(image, buckets, 'usd', usdAxis, CHART_COLORS.usd, maxGapBuckets);
+  plotSeries(image, buckets, 'players', playersAxis, CHART_COLORS.players, maxGapBuckets);
+
+  return encodePng(image);
+}
+
+// ----- ,chart command -----
+async function handleChartCommand(message, args) {
+  const usage = 'Usage: `,chart <lobby> <region> [1h|6h|24h|7d]`\nExample: `,chart 5 us 6h`';
+  if (args.length < 2) {
+    const embed = new EmbedBuilder()
+      .setTitle('Lobby Chart')
+      .setDescription(usage)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const resolved = resolveLobbyArgs(args[0], args[1]);
+  if (!resolved.lobbyDef) {
+    await message.reply({ embeds: [buildInvalidLobbyEmbed(resolved, usage)] });
+    return;
+  }
+  const lobbyDef = resolved.lobbyDef;
+  if (!lobbyDef.url) {
+    const embed = new EmbedBuilder()
+      .setTitle(lobbyDef.label)
+      .setDescription('No API for this server.')
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const windowKey = (args[2] || '24h').toLowerCase();
+  const windowMs = CHART_WINDOWS[windowKey];
+  if (!windowMs) {
+    const embed = new EmbedBuilder()
+      .setTitle('Invalid window')
+      .setDescription(`Window must be one of: ${Object.keys(CHART_WINDOWS).join(', ')}.\n${usage}`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const until = clockNow();
+  const since = until - windowMs;
+  const records = await readHistory({ lobbyKey: lobbyDef.key, since, until });
+  if (records.length === 0) {
+    const embed = new EmbedBuilder()
+      .setTitle(`${lobbyDef.label} Activity (${windowKey})`)
+      .setDescription('No history recorded for this lobby in that window yet.')
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const points = historyToChartPoints(records);
+  const png = renderLobbyChart(points, since, until, getGuildTimeZone(message.guild.id));
+  const file = new AttachmentBuilder(png, { name: 'chart.png' });
+
+  const peakPlayers = points.reduce((best, p) => (p.players > best.players ? p : best), points[0]);
+  const pricedPoints = points.filter(p => p.usd !== null);
+  const peakUsd = pricedPoints.length
+    ? pricedPoints.reduce((best, p) => (p.usd > best.usd ? p : best), pricedPoints[0])
+    : null;
+  const latest = points[points.length - 1];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${lobbyDef.label} Activity (${windowKey})`)
+    .setDescription(
+      [
+        'Orange: active players (size > 3), left axis',
+        'Blue: total lobby USD, right axis',
+        '',
+        `Now: ${latest.players} players${latest.usd !== null ? `, $${latest.usd.toFixed(2)}` : ''}`,
+        `Peak players: ${peakPlayers.players} at ${formatGuildTime(peakPlayers.t, message.guild.id)}`,
+        peakUsd ? `Peak USD: $${peakUsd.usd.toFixed(2)} at ${formatGuildTime(peakUsd.t, message.guild.id)}` : 'Peak USD: (price unavailable)',
+        `Samples: ${points.length}`
+      ].join('\n')
+    )
+    .setImage('attachment://chart.png')
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed], files: [file] });
+}
+
+// ----- ,stats command -----
+// Aggregates the recorded history into hour-of-day / day-of-week activity.
+// Each sample is weighted by the time until the next one, so full-resolution
+// and downsampled history count the same per minute covered.
+const STATS_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// samples further apart than this mean the bot was not watching in between
+const STATS_MAX_GAP_MS = Math.max(3 * HISTORY_DOWNSAMPLE_SECONDS * 1000, 30 * 1000);
+const STATS_MIN_SLOT_COVERAGE_MS = 10 * 60 * 1000;
+
+function createStatsSlot() {
+  return { weight: 0, sum: 0, peak: 0 };
+}
+
+function addToStatsSlot(slot, active, weight) {
+  slot.weight += weight;
+  slot.sum += active * weight;
+  if (active > slot.peak) slot.peak = active;
+}
+
+function statsSlotAverage(slot) {
+  return slot.weight > 0 ? slot.sum / slot.weight : null;
+}
+
+function getActiveIdsFromRecord(record) {
+  const ids = new Set();
+  for (const p of record.p || []) {
+    if (p[0] && typeof p[2] === 'number' && p[2] > ACTIVE_SIZE_CUTOFF) ids.add(p[0]);
+  }
+  return ids;
+}
+
+// Rebuilds completed sessions from consecutive samples. Players already
+// present at the start of a run, or still present at a gap, are skipped
+// because their real start/end was not observed.
+function collectSessionLengths(records) {
+  const lengths = [];
+  let open = new Map(); // id -> startedAt (null = start not observed)
+  let prev = null;
+
+  for (const record of records) {
+    const ids = getActiveIdsFromRecord(record);
+    const newRun = !prev || record.t - prev.t > STATS_MAX_GAP_MS;
+
+    if (newRun) {
+      open = new Map();
+      for (const id of ids) open.set(id, null);
+    } else {
+      for (const id of ids) {
+        if (!open.has(id)) open.set(id, record.t);
+      }
+      for (const [id, startedAt] of open.entries()) {
+        if (ids.has(id)) continue;
+        if (startedAt !== null) lengths.push(record.t - startedAt);
+        open.delete(id);
+      }
+    }
+    prev = record;
+  }
+
+  return lengths;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function computeLobbyStats(records, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const overall = createStatsSlot();
+  const byHour = Array.from({ length: 24 }, createStatsSlot);
+  const byDay = Array.from({ length: 7 }, createStatsSlot);
+  const byWeekHour = Array.from({ length: 7 * 24 }, createStatsSlot);
+  let peakRecord = null;
+
+  records.forEach((record, i) => {
+    const next = records[i + 1];
+    const gap = next ? next.t - record.t : 5000;
+    const weight = Math.min(gap, STATS_MAX_GAP_MS);
+
+    const parts = {};
+    for (const p of formatter.formatToParts(new Date(record.t))) parts[p.type] = p.value;
+    const day = STATS_DAY_NAMES.indexOf(parts.weekday);
+    const hour = Number(parts.hour) % 24;
+
+    addToStatsSlot(overall, record.active, weight);
+    addToStatsSlot(byHour[hour], record.active, weight);
+    addToStatsSlot(byDay[day], record.active, weight);
+    addToStatsSlot(byWeekHour[day * 24 + hour], record.active, weight);
+    if (!peakRecord || record.active > peakRecord.active) peakRecord = record;
+  });
+
+  const windows = byWeekHour
+    .map((slot, i) => ({ day: Math.floor(i / 24), hour: i % 24, slot, avg: statsSlotAverage(slot) }))
+    .filter(w => w.slot.weight >= STATS_MIN_SLOT_COVERAGE_MS);
+
+  return {
+    overall,
+    byHour,
+    byDay,
+    busiest: [...windows].sort((a, b) => b.avg - a.avg).slice(0, 3),
+    quietest: [...windows].sort((a, b) => a.avg - b.avg).slice(0, 3),
+    peakRecord,
+    medianSessionMs: median(collectSessionLengths(records))
+  };
+}
+
+function formatStatsHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function formatStatsWindow(w) {
+  return `${STATS_DAY_NAMES[w.day]} ${formatStatsHour(w.hour)}-${formatStatsHour((w.hour + 1) % 24)}: avg ${w.avg.toFixed(1)}, peak ${w.slot.peak}`;
+}
+
+// One line per slot with a small bar scaled to the busiest slot.
+function formatStatsTable(labels, slots) {
+  const maxAvg = Math.max(0, ...slots.map(s => statsSlotAverage(s) || 0));
+  const lines = slots.map((slot, i) => {
+    const avg = statsSlotAverage(slot);
+    if (avg === null) return `${labels[i]}     -`;
+    const bar = maxAvg > 0 ? '█'.repeat(Math.round((avg / maxAvg) * 10)) : '';
+    return `${labels[i]} ${avg.toFixed(1).padStart(5)} pk ${String(slot.peak).padStart(2)} ${bar}`;
+  });
+  return '```\n' + lines.join('\n') + '\n```';
+}
+
+async function handleStatsCommand(message, args) {
+  const usage = 'Usage: `,stats <lobby> <region>`\nExample: `,stats 20 us`';
+  if (args.length < 2) {
+    const embed = new EmbedBuilder()
+      .setTitle('Lobby Stats')
+      .setDescription(usage)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const resolved = resolveLobbyArgs(args[0], args[1]);
+  if (!resolved.lobbyDef) {
+    await message.reply({ embeds: [buildInvalidLobbyEmbed(resolved, usage)] });
+    return;
+  }
+  const lobbyDef = resolved.lobbyDef;
+
+  const records = await readHistory({ lobbyKey: lobbyDef.key });
+  if (records.length === 0) {
+    const embed = new EmbedBuilder()
+      .setTitle(`${lobbyDef.label} Stats`)
+      .setDescription('No history recorded for this lobby yet.')
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const timeZone = getGuildTimeZone(message.guild.id);
+  const stats = computeLobbyStats(records, timeZone);
+  const overallAvg = statsSlotAverage(stats.overall);
+  const coverageHours = stats.overall.weight / (60 * 60 * 1000);
+
+  const overview = [
+    `Average active players: ${overallAvg.toFixed(1)}`,
+    `Peak: ${stats.peakRecord.active} at ${formatGuildTime(stats.peakRecord.t, message.guild.id)} (${new Date(stats.peakRecord.t).toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric' })})`,
+    `Median session: ${stats.medianSessionMs !== null ? formatDuration(stats.medianSessionMs) : 'not enough data'}`,
+    `Observed: ${coverageHours.toFixed(1)}h since ${new Date(records[0].t).toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric' })}`
+  ];
+
+  const hourLabels = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, '0'));
+  const embed = new EmbedBuilder()
+    .setTitle(`${lobbyDef.label} Stats`)
+    .setDescription(overview.join('\n'))
+    .addFields(
+      {
+        name: 'Busiest hours',
+        value: stats.busiest.length ? stats.busiest.map(formatStatsWindow).join('\n') : 'Not enough data yet.',
+        inline: false
+      },
+      {
+        name: 'Quietest hours',
+        value: stats.quietest.length ? stats.quietest.map(formatStatsWindow).join('\n') : 'Not enough data yet.',
+        inline: false
+      },
+      { name: 'By hour of day (avg / peak)', value: formatStatsTable(hourLabels, stats.byHour), inline: false },
+      { name: 'By day of week (avg / peak)', value: formatStatsTable(STATS_DAY_NAMES, stats.byDay), inline: false }
+    )
+    .setFooter({ text: `Times in ${timeZone} · active = size > 3` })
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+// ----- ,lobbies command -----
+async function handleLobbiesCommand(message, args) {
+  const sub = (args[0] || '').toLowerCase();
+
+  if (sub === 'reload') {
+    const result = reloadLobbies();
+    if (result.ok) await registerSlashCommands();
+    const embed = new EmbedBuilder()
+      .setTitle(result.ok ? 'Lobby registry reloaded' : 'Lobby registry reload failed')
+      .setDescription(
+        result.ok
+          ? `Loaded ${result.count} lobby definition(s) from \`${result.source}\`.\n\n${describeLobbies()}`
+          : `${result.error}\n\nThe previous lobby list is still active.`
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('Lobbies')
+    .setDescription(
+      [
+        describeLobbies(),
+        '',
+        `Source: \`${lobbiesSource || 'not loaded'}\``,
+        'Use `,lobbies reload` after editing the lobby registry.'
+      ].join('\n')
+    )
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+// ----- ,alert command -----
+// Where a lobby's join/leave alerts go: its own route if set, otherwise the
+// guild's alert channel and lobby ping role.
+function getAlertRoute(cfg, lobbyKey) {
+  const route = cfg.alertRoutes[lobbyKey] || {};
+  return {
+    channelId: route.channelId || cfg.alertChannelId || null,
+    roleId: route.roleId || cfg.lobbyPingRoleId || null,
+    customChannel: Boolean(route.channelId),
+    customRole: Boolean(route.roleId)
+  };
+}
+
+function describeAlertRoute(cfg, lobbyKey) {
+  const route = getAlertRoute(cfg, lobbyKey);
+  const channel = route.channelId ? `<#${route.channelId}>` : 'no channel';
+  const role = route.roleId ? `<@&${route.roleId}>` : 'no ping';
+  return `${channel}${route.customChannel ? '*' : ''} · ${role}${route.customRole ? '*' : ''}`;
+}
+
+async function handleAlertCommand(message, args) {
+  const guildId = message.guild.id;
+  const cfg = getGuildConfig(guildId);
+  
+
+  const sub = (args[0] || '').toLowerCase();
+
+  if (!sub) {
+    const embed = new EmbedBuilder()
+      .setTitle('Join Alert Commands')
+      .setDescription(
+        [
+          'Usage:',
+          '  `,alert on <lobby> <region>`',
+          '  `,alert off <lobby> <region>`',
+          '  `,alert leaves on|off <lobby> <region>`',
+          '  `,alert digest <lobby> <region> <minutes|off>`',
+          '  `,alert route <lobby> <region> #channel @role`',
+          '  `,alert route clear <lobby> <region>`',
+          '  `,alert panel [#channel]`',
+          '  `,alert whale <lobby|all> <region|all> <usd>`',
+          '  `,alert channel #channel`',
+          '  `,alert list`',
+          '  `,alert status`',
+        ].join('\n')
+      )
+      .setFooter({ text: 'Alerts ping when someone joins that lobby' })
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub === 'channel') {
+    const channel = message.mentions.channels.first();
+    if (!channel || !channel.isTextBased()) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid channel')
+        .setDescription(
+          'Please mention a text channel. Example: `,alert channel #damnbruh-alerts`'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    cfg.alertChannelId = channel.id;
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('Alert channel set')
+      .setDescription(
+        `Alert channel set to ${channel}.\nJoin and watch alerts will be sent here.`
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  if (sub === 'on' || sub === 'off') {
+    if (args.length < 3) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(
+          'Usage: `,alert on <lobby> <region>`\nExample: `,alert on 20 us`'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const resolved = resolveLobbyArgs(args[1], args[2]);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, 'Example: `,alert on 20 us`');
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const lobbyDef = resolved.lobbyDef;
+    const region = lobbyDef.region;
+    const lobbyNum = lobbyDef.lobby;
+
+    if (!lobbyDef.url) {
+      const embed = new EmbedBuilder()
+        .setTitle(lobbyDef.label)
+        .setDescription('No API for this server.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (sub === 'on') {
+      const key = lobbyDef.key;
+      const route = getAlertRoute(cfg, key);
+      if (!route.channelId) {
+        const embed = new EmbedBuilder()
+          .setTitle('Alert channel not set')
+          .setDescription('Use `,alert channel #channel` (or `,alert route`) first.')
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+      cfg.alertEnabled[key] = true;
+      if (!cfg.lastSeenPlayers[key]) {
+        cfg.lastSeenPlayers[key] = new Set();
+      }
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle('Join alerts enabled')
+        .setDescription(
+          `Join alerts enabled for ${region.toUpperCase()} $${lobbyNum} lobby in <#${route.channelId}>.`
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+    } else {
+      const key = lobbyDef.key;
+      if (!cfg.alertEnabled[key]) {
+        const embed = new EmbedBuilder()
+          .setTitle('Join alerts already disabled')
+          .setDescription(
+            `Join alerts are already disabled for ${region.toUpperCase()} $${lobbyNum} lobby.`
+          )
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+      cfg.alertEnabled[key] = false;
+      cfg.lastSeenPlayers[key] = new Set();
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle('Join alerts disabled')
+        .setDescription(
+          `Join alerts disabled for ${region.toUpperCase()} $${lobbyNum} lobby.`
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+    }
+    return;
+  }
+
+  // ,alert leaves on|off <lobby> <region>
+  if (sub === 'leaves') {
+    const state = (args[1] || '').toLowerCase();
+    if (!['on', 'off'].includes(state) || args.length < 4) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(
+          'Usage: `,alert leaves on|off <lobby> <region>`\nExample: `,alert leaves on 20 us`'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const resolved = resolveLobbyArgs(args[2], args[3]);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, 'Example: `,alert leaves on 20 us`');
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const lobbyDef = resolved.lobbyDef;
+    if (!lobbyDef.url) {
+      const embed = new EmbedBuilder()
+        .setTitle(lobbyDef.label)
+        .setDescription('No API for this server.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const routeChannelId = getAlertRoute(cfg, lobbyDef.key).channelId;
+    if (state === 'on' && !routeChannelId) {
+      const embed = new EmbedBuilder()
+        .setTitle('Alert channel not set')
+        .setDescription('Use `,alert channel #channel` (or `,alert route`) first.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    cfg.leaveAlertEnabled[lobbyDef.key] = state === 'on';
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle(state === 'on' ? 'Leave alerts enabled' : 'Leave alerts disabled')
+      .setDescription(
+        state === 'on'
+          ? `Leave alerts enabled for ${lobbyDef.label} lobby in <#${routeChannelId}>.\nEach alert shows how long the player stayed and their last size/USD.`
+          : `Leave alerts disabled for ${lobbyDef.label} lobby.`
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,alert digest <lobby> <region> <minutes|off>
+  if (sub === 'digest') {
+    const usage = 'Usage: `,alert digest <lobby> <region> <minutes|off>`\nExample: `,alert digest 20 us 15`';
+    const windowArg = (args[3] || '').toLowerCase();
+    const minutes = Number(windowArg);
+    const off = windowArg === 'off';
+    if (!off && !(Number.isInteger(minutes) && minutes >= 1 && minutes <= DIGEST_MAX_MINUTES)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(`${usage}\nMinutes must be a whole number from 1 to ${DIGEST_MAX_MINUTES}.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const resolved = resolveLobbyArgs(args[1], args[2]);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, 'Example: `,alert digest 20 us 15`');
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const lobbyDef = resolved.lobbyDef;
+    if (!lobbyDef.url) {
+      const embed = new EmbedBuilder()
+        .setTitle(lobbyDef.label)
+        .setDescription('No API for this server.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const key = lobbyDef.key;
+    // a digest in progress is dropped; the next one starts with the new window
+    delete cfg.alertDigestState[key];
+
+    if (off) {
+      delete cfg.alertDigest[key];
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle('Digest disabled')
+        .setDescription(`Join/leave alerts for ${lobbyDef.label} lobby are sent instantly again.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    cfg.alertDigest[key] = minutes;
+    saveGuildConfigsToDisk();
+    const lines = [
+      `Join/leave alerts for ${lobbyDef.label} lobby will be sent as one summary every ${minutes} minute(s).`
+    ];
+    if (!cfg.alertEnabled[key] && !cfg.leaveAlertEnabled[key]) {
+      lines.push(`Join and leave alerts are off for this lobby; turn them on with \`,alert on ${lobbyDef.lobby} ${lobbyDef.region}\`.`);
+    }
+    const embed = new EmbedBuilder()
+      .setTitle('Digest enabled')
+      .setDescription(lines.join('\n'))
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,alert panel [#channel]
+  if (sub === 'panel') {
+    const channel = message.mentions.channels.first() || message.channel;
+    if (!channel || !channel.isTextBased()) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid channel')
+        .setDescription('Please mention a text channel. Example: `,alert panel #roles`')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
     }
-    if (row.components.length > 0) {
-      components.push(row);
+
+    // the roles are created unmentionable, so alerts only ping them when the
+    // bot may mention all roles
+    const me = message.guild.members.me || (await message.guild.members.fetchMe().catch(() => null));
+    const missing = [
+      [PermissionFlagsBits.ManageRoles, 'Manage Roles'],
+      [PermissionFlagsBits.MentionEveryone, 'Mention @everyone, @here, and All Roles']
+    ].filter(([flag]) => !me || !me.permissions.has(flag)).map(([, name]) => `**${name}**`);
+    if (missing.length > 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('Missing permissions')
+        .setDescription(
+          [
+            `I need ${missing.join(' and ')} before I can offer alert roles.`,
+            'Without them members can\'t pick roles, or alerts can\'t ping the roles they picked.'
+          ].join('\n')
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
     }
-  }
 
-  return { embed, components };
-}
+    const panel = buildNotifyPanel();
+    if (panel.components.length === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('No lobbies')
+        .setDescription('There are no lobbies with an API to offer alert roles for.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    try {
+      await channel.send(panel);
+    } catch (err) {
+      console.error('Alert panel post failed for guild', guildId, err.message || err);
+      const embed = new EmbedBuilder()
+        .setTitle('Could not post panel')
+        .setDescription(`I can't send messages in ${channel}.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
 
-// ----- ,lb command -----
-async function handleLbCommand(message, args) {
-  if (args.length < 2) {
     const embed = new EmbedBuilder()
-      .setTitle('Leaderboard Command')
+      .setTitle('Alert panel posted')
       .setDescription(
         [
-          'Usage: `,lb <lobby> <region>`',
+          `Members can now pick their lobby alert roles in ${channel}.`,
+          'Roles are created the first time someone clicks a button; join and watch alerts mention them.',
+          'Keep my Manage Roles and Mention All Roles permissions, and keep my role above the alert roles.'
         ].join('\n')
       )
       .setColor(ORANGE);
@@ -532,266 +4636,556 @@ async function handleLbCommand(message, args) {
     return;
   }
 
-  const lobbyNum = parseInt(args[0], 10);
-  const region = (args[1] || '').toLowerCase();
+  // ,alert route <lobby> <region> [#channel] [@role]
+  // ,alert route clear <lobby> <region>
+  if (sub === 'route') {
+    const clear = (args[1] || '').toLowerCase() === 'clear';
+    const lobbyArgs = clear ? args.slice(2) : args.slice(1);
+    const channel = message.mentions.channels.first();
+    const role = message.mentions.roles.first();
+    const usage =
+      'Usage: `,alert route <lobby> <region> #channel @role` (either one is fine)\n' +
+      '`,alert route clear <lobby> <region>`\nExample: `,alert route 20 us #big-lobby @whales`';
+
+    if (lobbyArgs.length < 2 || (!clear && !channel && !role)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(usage)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    if (channel && !channel.isTextBased()) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid channel')
+        .setDescription('Please mention a text channel.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const resolved = resolveLobbyArgs(lobbyArgs[0], lobbyArgs[1]);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, usage);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const lobbyDef = resolved.lobbyDef;
+    const key = lobbyDef.key;
+
+    if (clear) {
+      if (!cfg.alertRoutes[key]) {
+        const embed = new EmbedBuilder()
+          .setTitle('No route')
+          .setDescription(`${lobbyDef.label} lobby already uses the server defaults.`)
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+      delete cfg.alertRoutes[key];
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle('Route cleared')
+        .setDescription(`${lobbyDef.label} lobby alerts now go to ${describeAlertRoute(cfg, key)}.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
 
-  if (![1, 5, 20].includes(lobbyNum)) {
+    // only what was mentioned changes; the other half keeps its current override
+    const previous = cfg.alertRoutes[key] || {};
+    cfg.alertRoutes[key] = {
+      channelId: channel ? channel.id : previous.channelId || null,
+      roleId: role ? role.id : previous.roleId || null
+    };
+    saveGuildConfigsToDisk();
     const embed = new EmbedBuilder()
-      .setTitle('Invalid lobby')
+      .setTitle('Route set')
       .setDescription(
-        'Lobby must be 1, 5, or 20.\nUsage: `,lb <lobby> <region>`\nExample: `,lb 5 us`'
+        [
+          `${lobbyDef.label} lobby alerts now go to ${describeAlertRoute(cfg, key)}.`,
+          '* = set for this lobby, otherwise the server default.'
+        ].join('\n')
       )
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
-  if (!['us', 'eu'].includes(region)) {
+
+  // ,alert whale <lobby|all> <region|all> <usd>
+  // ,alert whale off <lobby|all> <region|all>
+  // ,alert whale role [@role]
+  // ,alert whale list
+  if (sub === 'whale') {
+    const action = (args[1] || '').toLowerCase();
+
+    if (!action || action === 'list') {
+      const entries = Object.entries(cfg.whaleThresholds);
+      const lines = entries.map(([scope, usd]) => `${describeWhaleScope(scope)}: $${usd.toFixed(2)}`);
+      const roleText = cfg.whalePingRoleId ? `<@&${cfg.whalePingRoleId}>` : 'none';
+      const embed = new EmbedBuilder()
+        .setTitle('Whale Alerts')
+        .setDescription(
+          [
+            `Whale ping role: ${roleText}`,
+            '',
+            lines.length ? lines.join('\n') : 'No whale thresholds set.',
+            '',
+            'Usage:',
+            '  `,alert whale <lobby|all> <region|all> <usd>`',
+            '  `,alert whale off <lobby|all> <region|all>`',
+            '  `,alert whale role @role`'
+          ].join('\n')
+        )
+        .setFooter({ text: 'Alerts fire once per player until they drop below the threshold or leave' })
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (action === 'role') {
+      const role = message.mentions.roles.first();
+      cfg.whalePingRoleId = role ? role.id : null;
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle(role ? 'Whale ping role set' : 'Whale ping role cleared')
+        .setDescription(role ? `Whale alerts will ping ${role}.` : 'Whale alerts will no longer ping a role.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const off = action === 'off';
+    const scopeArgs = off ? args.slice(2) : args.slice(1);
+    const usd = off ? null : parseFloat(String(scopeArgs[2] || '').replace(/^\$/, ''));
+    const usage = 'Usage: `,alert whale <lobby|all> <region|all> <usd>`\nExample: `,alert whale all us 250`';
+
+    if (scopeArgs.length < (off ? 2 : 3) || (!off && !(usd > 0))) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid arguments')
+        .setDescription(off ? 'Usage: `,alert whale off <lobby|all> <region|all>`' : usage)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    const scope = resolveWhaleScope(scopeArgs[0], scopeArgs[1]);
+    if (scope.error) {
+      const embed = buildInvalidLobbyEmbed(scope.error, usage);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (off) {
+      if (cfg.whaleThresholds[scope.key] === undefined) {
+        const embed = new EmbedBuilder()
+          .setTitle('No whale threshold')
+          .setDescription(`There is no whale threshold for ${describeWhaleScope(scope.key)}.`)
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+      delete cfg.whaleThresholds[scope.key];
+      saveGuildConfigsToDisk();
+      const embed = new EmbedBuilder()
+        .setTitle('Whale alerts disabled')
+        .setDescription(`Whale alerts removed for ${describeWhaleScope(scope.key)}.`)
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (!cfg.alertChannelId) {
+      const embed = new EmbedBuilder()
+        .setTitle('Alert channel not set')
+        .setDescription('Use `,alert channel #channel` first.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    cfg.whaleThresholds[scope.key] = usd;
+    saveGuildConfigsToDisk();
     const embed = new EmbedBuilder()
-      .setTitle('Invalid region')
+      .setTitle('Whale alerts enabled')
       .setDescription(
-        'Region must be "us" or "eu".\nUsage: `,lb <lobby> <region>`\nExample: `,lb 5 us`'
+        [
+          `Players worth $${usd.toFixed(2)} or more in ${describeWhaleScope(scope.key)} will be announced in <#${cfg.alertChannelId}>.`,
+          cfg.whalePingRoleId ? `Ping: <@&${cfg.whalePingRoleId}>` : 'No whale ping role set (`,alert whale role @role`).'
+        ].join('\n')
       )
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  const lobbyDef = findLobby(region, lobbyNum);
-  if (!lobbyDef) {
-    const embed = new EmbedBuilder()
-      .setTitle('Error')
-      .setDescription('Could not find that lobby definition.')
-      .setColor(ORANGE);
-    await message.reply({ embeds: [embed] });
-    return;
-  }
+  if (sub === 'list') {
+    const channelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
+    const fields = getRegions().map(region => {
+      const lines = getLobbiesInRegion(region).map(lobby => {
+        let state;
+        if (!lobby.url) {
+          state = 'NO API';
+        } else {
+          state = cfg.alertEnabled[lobby.key] ? 'ON' : 'OFF';
+          if (cfg.leaveAlertEnabled[lobby.key]) state += ' (+ leaves)';
+          if (cfg.alertDigest[lobby.key]) state += `, digest ${cfg.alertDigest[lobby.key]}m`;
+          state += `\n  ↳ ${describeAlertRoute(cfg, lobby.key)}`;
+        }
+        return `$${lobby.lobby}  - ${state}`;
+      });
+      return { name: `${region.toUpperCase()} lobbies`, value: lines.join('\n') || 'None', inline: true };
+    });
 
-  // EU $5 has no API
-  if (!lobbyDef.url) {
     const embed = new EmbedBuilder()
-      .setTitle(lobbyDef.label)
-      .setDescription('No API for this server.')
+      .setTitle('Join Alert Status')
+      .setDescription(`Alert channel: ${channelText}`)
+      .addFields(fields.length ? fields : [{ name: 'Lobbies', value: 'None', inline: true }])
+      .setFooter({
+        text: '* = per-lobby route (,alert route). Use ,alert on/off <lobby> <region> to change'
+      })
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  const snapshot = await getLobbySnapshot(lobbyDef);
-  if (!snapshot || snapshot.noApi) {
+
+  if (sub === 'status') {
+    const channelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
+    const enabled = [];
+    for (const lobby of LOBBIES) {
+      if (!lobby.url) continue; // skip no-API lobbies
+      if (cfg.alertEnabled[lobby.key]) {
+        enabled.push(`$${lobby.lobby} ${lobby.region.toUpperCase()}`);
+      }
+    }
+    const enabledText = enabled.length ? enabled.join(', ') : 'none';
+    const leaves = LOBBIES
+      .filter(lobby => lobby.url && cfg.leaveAlertEnabled[lobby.key])
+      .map(lobby => `$${lobby.lobby} ${lobby.region.toUpperCase()}`);
+    const leavesText = leaves.length ? leaves.join(', ') : 'none';
+    const digests = LOBBIES
+      .filter(lobby => lobby.url && cfg.alertDigest[lobby.key])
+      .map(lobby => `$${lobby.lobby} ${lobby.region.toUpperCase()} every ${cfg.alertDigest[lobby.key]} min`);
+    const digestsText = digests.length ? digests.join(', ') : 'none (instant alerts)';
+
     const embed = new EmbedBuilder()
-      .setTitle('Error')
+      .setTitle('Alert Status')
       .setDescription(
-        'Could not load lobby data right now. The game server might be offline or unreachable. Please try again in a moment.'
+        [
+          `Alert channel: ${channelText}`,
+          'Join alerts enabled on:',
+          `  ${enabledText}`,
+          'Leave alerts enabled on:',
+          `  ${leavesText}`,
+          'Digests:',
+          `  ${digestsText}`
+        ].join('\n')
       )
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  const players = snapshot.players
-    .filter(p => typeof p.size === 'number' && p.size > 3)
-    .sort((a, b) => (b.size || 0) - (a.size || 0));
+  const embed = new EmbedBuilder()
+    .setTitle('Unknown subcommand')
+    .setDescription(
+      'Usage: `,alert on|off <lobby> <region>`, `,alert leaves on|off <lobby> <region>`, `,alert digest <lobby> <region> <minutes|off>`, `,alert route <lobby> <region> #channel @role`, `,alert panel`, `,alert whale`, `,alert channel #channel`, `,alert list`, `,alert status`'
+    )
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
 
-  const { embed, components } = buildLbEmbed(lobbyDef, snapshot, players, 0);
-  await message.reply({ embeds: [embed], components });
+// ----- Notification role panel -----
+// `,alert panel` posts a message with one toggle button per lobby and per
+// region. Each button adds/removes a role the bot creates on first use
+// (cfg.notifyRoles: scope -> roleId, where scope is a lobby key or
+// "region:<region>"). Join, digest and watch alerts for a lobby mention its
+// lobby role and its region role. The customIds carry the scope, so old
+// panels keep working after a restart.
+const NOTIFY_REGION_PREFIX = 'region:';
+const notifyRoleCreations = new Map(); // "guildId|scope" -> Promise<role>
+
+function describeNotifyScope(scope) {
+  if (scope.startsWith(NOTIFY_REGION_PREFIX)) {
+    return `All ${scope.slice(NOTIFY_REGION_PREFIX.length).toUpperCase()}`;
+  }
+  const lobbyDef = findLobbyByKey(scope);
+  return lobbyDef ? lobbyDef.label : scope;
 }
-async function buildRegionSummaryEmbeds(region) {
-  const lobbyNumbers = region === 'us' ? [1, 5, 20] : [1, 20]; // EU 5 has no API
-  const embeds = [];
 
-  for (const lobbyNum of lobbyNumbers) {
-    const lobbyDef = findLobby(region, lobbyNum);
-    if (!lobbyDef || !lobbyDef.url) continue;
+function isValidNotifyScope(scope) {
+  if (scope.startsWith(NOTIFY_REGION_PREFIX)) {
+    return getRegions().includes(scope.slice(NOTIFY_REGION_PREFIX.length));
+  }
+  const lobbyDef = findLobbyByKey(scope);
+  return Boolean(lobbyDef && lobbyDef.url);
+}
 
-    const snapshot = await getLobbySnapshot(lobbyDef);
-    if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+// Opt-in roles to mention for a lobby's alerts (deleted roles are skipped).
+function getNotifyRoleIds(guildId, cfg, lobbyDef) {
+  const guild = client.guilds.cache.get(guildId);
+  return [lobbyDef.key, `${NOTIFY_REGION_PREFIX}${lobbyDef.region}`]
+    .map(scope => cfg.notifyRoles[scope])
+    .filter(roleId => roleId && (!guild || guild.roles.cache.has(roleId)));
+}
 
-    const activePlayers = snapshot.players
-      .filter(p => typeof p.size === 'number' && p.size > 3)
-      .sort((a, b) => {
-        const usdA = typeof a.usdFromSol === 'number' ? a.usdFromSol : 0;
-        const usdB = typeof b.usdFromSol === 'number' ? b.usdFromSol : 0;
-        return usdB - usdA;
-      });
+// Mention content for an alert, e.g. "<@&1> <@&2>", or `fallback` without roles.
+function formatRoleMentions(roleIds, fallback = 'No ping role given') {
+  const unique = [...new Set(roleIds.filter(Boolean))];
+  return unique.length ? unique.map(id => `<@&${id}>`).join(' ') : fallback;
+}
 
-    const top5 = activePlayers.slice(0, 5);
-    const lastUpdated = formatEtTime(snapshot.lastFetched || Date.now());
+function buildNotifyPanel() {
+  const scopes = [];
+  for (const region of getRegions()) {
+    const lobbies = getLobbiesInRegion(region).filter(l => l.url);
+    if (lobbies.length === 0) continue;
+    scopes.push(...lobbies.map(l => l.key), `${NOTIFY_REGION_PREFIX}${region}`);
+  }
 
-    const lines = top5.map((p, idx) => {
-      const rank = idx + 1;
-      const name = p.name || p.privyId || p.id || 'Unknown';
-      const usd =
-        typeof p.usdFromSol === 'number'
-          ? `$${p.usdFromSol.toFixed(2)}`
-          : '(price unavailable)';
-      return `#${rank} ${name} - ${usd}`;
-    });
+  // Discord allows 5 rows of 5 buttons
+  const shown = scopes.slice(0, 25);
+  const rows = [];
+  for (let i = 0; i < shown.length; i += 5) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        shown.slice(i, i + 5).map(scope =>
+          new ButtonBuilder()
+            .setCustomId(`notifyrole|${scope}`)
+            .setLabel(describeNotifyScope(scope))
+            .setStyle(scope.startsWith(NOTIFY_REGION_PREFIX) ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
 
-    const embed = new EmbedBuilder()
-      .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
-      .setColor(ORANGE)
-      .setDescription(
-        [
-          `Lobby: $${lobbyDef.lobby}   Region: ${region.toUpperCase()}`,
-          `Players in lobby: ${activePlayers.length}`,
-          `Last updated: ${lastUpdated}`,
-          '',
-          lines.length ? lines.join('\n') : 'No active players'
-        ].join('\n')
-      );
+  const lines = [
+    'Pick the lobbies you want to be pinged for. Click again to stop.',
+    '"All <region>" pings you for every lobby in that region.'
+  ];
+  if (scopes.length > shown.length) {
+    lines.push(`Only the first ${shown.length} of ${scopes.length} buttons fit on one panel.`);
+  }
+  const embed = new EmbedBuilder()
+    .setTitle('Lobby Alert Roles')
+    .setDescription(lines.join('\n'))
+    .setColor(ORANGE);
+  return { embeds: [embed], components: rows };
+}
 
-    embeds.push(embed);
+// The bot-managed role for a scope, created (and saved) the first time it's needed.
+async function ensureNotifyRole(guild, cfg, scope) {
+  const existingId = cfg.notifyRoles[scope];
+  if (existingId) {
+    const existing = guild.roles.cache.get(existingId) || (await guild.roles.fetch(existingId).catch(() => null));
+    if (existing) return existing;
   }
 
-  return embeds;
+  const pendingKey = `${guild.id}|${scope}`;
+  if (!notifyRoleCreations.has(pendingKey)) {
+    const creation = guild.roles
+      .create({
+        name: `${describeNotifyScope(scope)} alerts`,
+        mentionable: false,
+        reason: 'Lobby alert role (,alert panel)'
+      })
+      .then(role => {
+        cfg.notifyRoles[scope] = role.id;
+        saveGuildConfigsToDisk();
+        return role;
+      })
+      .finally(() => notifyRoleCreations.delete(pendingKey));
+    notifyRoleCreations.set(pendingKey, creation);
+  }
+  return notifyRoleCreations.get(pendingKey);
 }
 
-async function handleRegionSummaryCommand(message, region) {
-  // which lobbies to show
-  const lobbyNumbers = region === 'us' ? [1, 5, 20] : [1, 20]; // skip EU 5 (no API)
-  const embeds = [];
+async function handleNotifyRoleButton(interaction) {
+  const scope = interaction.customId.split('|')[1] || '';
+  if (!interaction.guild || !isValidNotifyScope(scope)) {
+    await interaction.reply({ content: 'This lobby no longer exists. Ask an admin to post a new panel.', ephemeral: true });
+    return;
+  }
 
-  for (const lobbyNum of lobbyNumbers) {
-    const lobbyDef = findLobby(region, lobbyNum);
-    if (!lobbyDef || !lobbyDef.url) continue; // skip no-API lobby
+  await interaction.deferReply({ ephemeral: true });
+  const cfg = getGuildConfig(interaction.guild.id);
+  const label = describeNotifyScope(scope);
+  try {
+    const role = await ensureNotifyRole(interaction.guild, cfg, scope);
+    const member = interaction.member;
+    if (member.roles.cache.has(role.id)) {
+      await member.roles.remove(role, 'Lobby alert panel');
+      await interaction.editReply(`You will no longer be pinged for ${label} alerts.`);
+    } else {
+      await member.roles.add(role, 'Lobby alert panel');
+      await interaction.editReply(`You will be pinged for ${label} alerts (${role}).`);
+    }
+  } catch (err) {
+    // 50013 = Missing Permissions; anything else still needs an answer, since
+    // the reply was already deferred
+    if (err.code !== 50013) console.error('Alert role button failed for guild', interaction.guild.id, err.message || err);
+    await interaction
+      .editReply(
+        err.code === 50013
+          ? 'I can\'t manage that role. An admin needs to give me Manage Roles and keep my role above the alert roles.'
+          : 'Something went wrong updating your alert role. Try again in a moment.'
+      )
+      .catch(() => {});
+  }
+}
 
-    const snapshot = await getLobbySnapshot(lobbyDef);
-    if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+// ----- Watch conditions -----
+// A watch condition is "<metric><op><value>":
+//   players<3      active players (size > 3)
+//   pot>500        total USD value of everyone in the lobby
+//   top>200        size of the biggest player
+//   over100>=3     number of players bigger than size 100
+// A bare number (the old `<threshold>` form) means players>=N.
+const WATCH_OPERATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b
+};
 
-    // only players with size > 3, sorted by USD desc
-    const activePlayers = snapshot.players
-      .filter(p => typeof p.size === 'number' && p.size > 3)
-      .sort((a, b) => {
-        const usdA = typeof a.usdFromSol === 'number' ? a.usdFromSol : 0;
-        const usdB = typeof b.usdFromSol === 'number' ? b.usdFromSol : 0;
-        return usdB - usdA;
-      });
+function parseWatchCondition(text) {
+  const raw = String(text || '').trim().toLowerCase();
+  if (/^\d+$/.test(raw)) {
+    const value = parseInt(raw, 10);
+    return value >= 1 ? { metric: 'players', op: '>=', value } : null;
+  }
 
-    const top5 = activePlayers.slice(0, 5);
+  const match = raw.match(/^(players|pot|top|over(\d+))(>=|<=|>|<|=)\$?(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
 
-    const lines = top5.map((p, idx) => {
-      const rank = idx + 1;
-      const name = p.name || p.privyId || p.id || 'Unknown';
-      const usd =
-        typeof p.usdFromSol === 'number'
-          ? `$${p.usdFromSol.toFixed(2)}`
-          : '(price unavailable)';
-      return `#${rank} ${name} - ${usd}`;
-    });
+  const condition = {
+    metric: match[2] !== undefined ? 'over' : match[1],
+    op: match[3],
+    value: Number(match[4])
+  };
+  if (condition.metric === 'over') condition.size = parseInt(match[2], 10);
+  return condition;
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle(`${lobbyDef.label} Lobby Leaderboard`)
-      .setColor(ORANGE)
-      .setDescription(
-        [
-          `Lobby: $${lobbyDef.lobby}   Region: ${region.toUpperCase()}`,
-          `Players in lobby: ${activePlayers.length}`, // size > 3 only
-          '',
-          lines.length ? lines.join('\n') : 'No active players'
-        ].join('\n')
-      );
+function formatWatchCondition(condition) {
+  const value = condition.metric === 'pot' ? `$${condition.value}` : condition.value;
+  if (condition.metric === 'players') return `players ${condition.op} ${value}`;
+  if (condition.metric === 'pot') return `lobby USD ${condition.op} ${value}`;
+  if (condition.metric === 'top') return `top player size ${condition.op} ${value}`;
+  return `players over size ${condition.size} ${condition.op} ${value}`;
+}
 
-    embeds.push(embed);
+// Returns the metric's current value, or null when it can't be computed
+// (e.g. USD totals while the SOL price is unavailable).
+function getWatchMetricValue(condition, snapshot) {
+  const players = snapshot.players;
+  if (condition.metric === 'players') {
+    return players.filter(isActivePlayer).length;
+  }
+  if (condition.metric === 'pot') {
+    const priced = players.filter(p => typeof p.usdFromSol === 'number');
+    if (players.length > 0 && priced.length === 0) return null;
+    return priced.reduce((sum, p) => sum + p.usdFromSol, 0);
+  }
+  if (condition.metric === 'top') {
+    return players.reduce((max, p) => (typeof p.size === 'number' && p.size > max ? p.size : max), 0);
+  }
+  if (condition.metric === 'over') {
+    return players.filter(p => typeof p.size === 'number' && p.size > condition.size).length;
   }
+  return null;
+}
 
-  if (embeds.length === 0) {
-    const embed = new EmbedBuilder()
-      .setTitle(region === 'us' ? 'US Lobby Summary' : 'EU Lobby Summary')
-      .setColor(ORANGE)
-      .setDescription('No lobby data available right now.');
-    await message.reply({ embeds: [embed] });
-  } else {
-    // one message, multiple boxes (one per lobby)
-    await message.reply({ embeds });
-  }
+function formatWatchMetricValue(condition, value) {
+  if (condition.metric === 'pot') return `lobby USD is $${value.toFixed(2)}`;
+  if (condition.metric === 'top') return `top player size is ${Math.round(value)}`;
+  if (condition.metric === 'over') return `${value} player(s) over size ${condition.size}`;
+  return `${value} players`;
 }
 
-// ----- ,alert command -----
-async function handleAlertCommand(message, args) {
+// ----- ,watch command -----
+async function handleWatchCommand(message, args) {
   const guildId = message.guild.id;
   const cfg = getGuildConfig(guildId);
-  
 
   const sub = (args[0] || '').toLowerCase();
 
+  // ,watch  -> short help
   if (!sub) {
     const embed = new EmbedBuilder()
-      .setTitle('Join Alert Commands')
+      .setTitle('Lobby Watchers')
       .setDescription(
         [
+          'Watch set (minutes)',
+          '',
           'Usage:',
-          '  `,alert on <lobby> <region>`',
-          '  `,alert off <lobby> <region>`',
-          '  `,alert channel #channel`',
-          '  `,alert list`',
-          '  `,alert status`',
+          '  `,watch add <lobby> <region> <condition> <minutes>`',
+          '  `,watch list`',
+          '  `,watch remove <id>`',
+          '  `,watch clear`',
+          '',
+          'Conditions:',
+          '  `6` or `players>=6` - active players',
+          '  `players<3` - lobby dying',
+          '  `pot>500` - total lobby USD',
+          '  `top>200` - biggest player size',
+          '  `over100>=3` - players bigger than size 100',
         ].join('\n')
       )
-      .setFooter({ text: 'Alerts ping when someone joins that lobby' })
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  if (sub === 'channel') {
-    const channel = message.mentions.channels.first();
-    if (!channel || !channel.isTextBased()) {
+  // ,watch add <lobby> <region> <condition> <minutes>
+  if (sub === 'add') {
+    if (args.length < 5) {
       const embed = new EmbedBuilder()
-        .setTitle('Invalid channel')
+        .setTitle('Invalid arguments')
         .setDescription(
-          'Please mention a text channel. Example: `,alert channel #damnbruh-alerts`'
+          'Usage: `,watch add <lobby> <region> <condition> <minutes>`\nExamples: `,watch add 5 us 6 2`, `,watch add 5 us players<3 10`, `,watch add 20 eu pot>500 5`'
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
-    cfg.alertChannelId = channel.id;
-    saveGuildConfigsToDisk();
-    const embed = new EmbedBuilder()
-      .setTitle('Alert channel set')
-      .setDescription(
-        `Alert channel set to ${channel}.\nJoin and watch alerts will be sent here.`
-      )
-      .setColor(ORANGE);
-    await message.reply({ embeds: [embed] });
-    return;
-  }
+    const resolved = resolveLobbyArgs(args[1], args[2]);
+    const condition = parseWatchCondition(args[3]);
+    const minutes = parseInt(args[4], 10);
 
-  if (sub === 'on' || sub === 'off') {
-    if (args.length < 3) {
-      const embed = new EmbedBuilder()
-        .setTitle('Invalid arguments')
-        .setDescription(
-          'Usage: `,alert on <lobby> <region>`\nExample: `,alert on 20 us`'
-        )
-        .setColor(ORANGE);
+    if (!resolved.lobbyDef) {
+      const embed = buildInvalidLobbyEmbed(resolved, 'Example: `,watch add 5 us 6 2`');
       await message.reply({ embeds: [embed] });
       return;
     }
-    const lobbyNum = parseInt(args[1], 10);
-    const region = (args[2] || '').toLowerCase();
-
-    if (![1, 5, 20].includes(lobbyNum) || !['us', 'eu'].includes(region)) {
+    if (!condition) {
       const embed = new EmbedBuilder()
-        .setTitle('Invalid arguments')
+        .setTitle('Invalid condition')
         .setDescription(
-          'Lobby must be 1, 5, or 20.\nRegion must be "us" or "eu".\n\nExample: `,alert on 20 us`'
+          [
+            `\`${args[3]}\` is not a watch condition.`,
+            'Use a player count (`6`) or `<metric><op><value>` with metric `players`, `pot`, `top` or `over<size>` and op `>`, `>=`, `<`, `<=`, `=`.',
+            'Examples: `players<3`, `pot>500`, `top>200`, `over100>=3`'
+          ].join('\n')
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
-
-    const lobbyDef = findLobby(region, lobbyNum);
-    if (!lobbyDef) {
+    if (!Number.isInteger(minutes) || minutes < 1) {
       const embed = new EmbedBuilder()
-        .setTitle('Error')
-        .setDescription('Could not find that lobby definition.')
+        .setTitle('Invalid minutes')
+        .setDescription(
+          'Minutes must be a whole number and at least 1.\nExample: `,watch add 5 us 6 2`'
+        )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
 
+    const lobbyDef = resolved.lobbyDef;
     if (!lobbyDef.url) {
       const embed = new EmbedBuilder()
         .setTitle(lobbyDef.label)
@@ -801,140 +5195,621 @@ async function handleAlertCommand(message, args) {
       return;
     }
 
-    if (sub === 'on') {
-      if (!cfg.alertChannelId) {
-        const embed = new EmbedBuilder()
-          .setTitle('Alert channel not set')
-          .setDescription('Use `,alert channel #channel` first.')
-          .setColor(ORANGE);
-        await message.reply({ embeds: [embed] });
-        return;
-      }
-      const key = getLobbyKey(region, lobbyNum);
-      cfg.alertEnabled[key] = true;
-      if (!cfg.lastSeenPlayers[key]) {
-        cfg.lastSeenPlayers[key] = new Set();
-      }
-      saveGuildConfigsToDisk();
+    const id = cfg.nextWatchId++;
+    cfg.watches.set(id, {
+      id,
+      lobbyKey: lobbyDef.key,
+      condition,
+      intervalMinutes: minutes,
+      lastAlertAt: null
+    });
+    saveGuildConfigsToDisk();
+
+    const embed = new EmbedBuilder()
+      .setTitle('Watch created')
+      .setDescription(
+        [
+          `Lobby: ${lobbyDef.label}`,
+          `Condition: ${formatWatchCondition(condition)}`,
+          `Interval: ${minutes} minute(s)`
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,watch list
+  if (sub === 'list') {
+    if (cfg.watches.size === 0) {
       const embed = new EmbedBuilder()
-        .setTitle('Join alerts enabled')
+        .setTitle('No active watches')
         .setDescription(
-          `Join alerts enabled for ${region.toUpperCase()} $${lobbyNum} lobby in <#${cfg.alertChannelId}>.`
+          'There are no active watches in this server.\nUse `,watch add <lobby> <region> <condition> <minutes>` to create one.'
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
-    } else {
-      const key = getLobbyKey(region, lobbyNum);
-      if (!cfg.alertEnabled[key]) {
-        const embed = new EmbedBuilder()
-          .setTitle('Join alerts already disabled')
-          .setDescription(
-            `Join alerts are already disabled for ${region.toUpperCase()} $${lobbyNum} lobby.`
-          )
-          .setColor(ORANGE);
-        await message.reply({ embeds: [embed] });
-        return;
-      }
-      cfg.alertEnabled[key] = false;
-      cfg.lastSeenPlayers[key] = new Set();
-      saveGuildConfigsToDisk();
+      return;
+    }
+
+    const watchChannelText = cfg.watchChannelId
+  ? `<#${cfg.watchChannelId}>`
+  : (cfg.alertChannelId ? `<#${cfg.alertChannelId}> (using alert channel)` : 'not set');
+
+const embed = new EmbedBuilder()
+  .setTitle('Active Lobby Watches')
+  .setDescription(`Watch alerts channel: ${watchChannelText}`)
+  .setColor(ORANGE);
+
+    for (const [id, watch] of cfg.watches.entries()) {
+      const lobbyDef = findLobbyByKey(watch.lobbyKey);
+      const lobbyLabel = lobbyDef ? lobbyDef.label : watch.lobbyKey;
+      const last = watch.lastAlertAt ? formatGuildTime(watch.lastAlertAt, guildId) : 'never';
+
+embed.addFields({
+  name: `${lobbyLabel} (ID ${id})`,
+  value: `Condition: ${formatWatchCondition(watch.condition)}\nInterval: ${watch.intervalMinutes} minute(s)\nLast alert: ${last}`,
+  inline: false
+});
+    }
+
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,watch remove <id>
+  if (sub === 'remove') {
+    if (args.length < 2) {
       const embed = new EmbedBuilder()
-        .setTitle('Join alerts disabled')
+        .setTitle('Usage')
+        .setDescription('` ,watch remove <id> `')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    const id = parseInt(args[1], 10);
+    if (!cfg.watches.has(id)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Watch not found')
         .setDescription(
-          `Join alerts disabled for ${region.toUpperCase()} $${lobbyNum} lobby.`
+          `No watch found with ID ${id}.\nUse \`,watch list\` to see all active watches.`
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
+      return;
+    }
+    cfg.watches.delete(id);
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('Watch removed')
+      .setDescription(`Watch ${id} removed.`)
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // ,watch clear
+  if (sub === 'clear') {
+    if (cfg.watches.size === 0) {
+      const embed = new EmbedBuilder()
+        .setTitle('No watches to clear')
+        .setDescription('There are no watches to clear.')
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    cfg.watches.clear();
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('Watches cleared')
+      .setDescription('All watches have been cleared for this server.')
+      .setColor(ORANGE);
+    await message.reply({ embeds: [embed] });
+    return;
+  }
+
+  // anything else
+  const embed = new EmbedBuilder()
+    .setTitle('Unknown subcommand')
+    .setDescription(
+      'Usage: `,watch add`, `,watch list`, `,watch remove`, `,watch clear`'
+    )
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed] });
+}
+
+
+// ----- Config export / import -----
+// `,config export` attaches the guild's saved config plus the names of the
+// channels and roles it refers to. `,config import` validates an exported
+// file, remaps channel/role IDs that don't exist here by name (or clears
+// them), and shows a diff with confirm/cancel buttons before applying.
+const CONFIG_EXPORT_FORMAT = 'dbdiscord-guild-config';
+const CONFIG_EXPORT_VERSION = 1;
+const CONFIG_IMPORT_MAX_BYTES = 512 * 1024;
+const CONFIG_IMPORT_TTL_MS = 5 * 60 * 1000;
+const CONFIG_CHANNEL_FIELDS = ['alertChannelId', 'watchChannelId'];
+const CONFIG_ROLE_FIELDS = ['lobbyPingRoleId', 'watchPingRoleId', 'whalePingRoleId', 'managerRoleId'];
+
+// token -> { guildId, userId, stored, expiresAt }
+const pendingConfigImports = new Map();
+
+function collectConfigReferences(stored) {
+  const channelIds = new Set();
+  const roleIds = new Set();
+  for (const field of CONFIG_CHANNEL_FIELDS) if (stored[field]) channelIds.add(stored[field]);
+  for (const field of CONFIG_ROLE_FIELDS) if (stored[field]) roleIds.add(stored[field]);
+  for (const p of stored.refreshPanels || []) if (p.channelId) channelIds.add(p.channelId);
+  for (const t of stored.tracks || []) {
+    if (t.channelId) channelIds.add(t.channelId);
+    if (t.roleId) roleIds.add(t.roleId);
+  }
+  for (const route of Object.values(stored.alertRoutes || {})) {
+    if (route.channelId) channelIds.add(route.channelId);
+    if (route.roleId) roleIds.add(route.roleId);
+  }
+  for (const roleId of Object.values(stored.notifyRoles || {})) roleIds.add(roleId);
+  return { channelIds, roleIds };
+}
+
+function buildConfigExport(guild, cfg) {
+  const stored = serializeGuildConfig(cfg);
+  const { channelIds, roleIds } = collectConfigReferences(stored);
+  const names = (cache, ids) => {
+    const out = {};
+    for (const id of ids) {
+      const item = cache ? cache.get(id) : null;
+      if (item && item.name) out[id] = item.name;
+    }
+    return out;
+  };
+
+  return {
+    format: CONFIG_EXPORT_FORMAT,
+    version: CONFIG_EXPORT_VERSION,
+    schemaVersion: CONFIG_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    guild: { id: guild.id, name: guild.name || null },
+    channels: names(guild.channels && guild.channels.cache, channelIds),
+    roles: names(guild.roles && guild.roles.cache, roleIds),
+    config: stored
+  };
+}
+
+const isIdOrNull = v => v === null || v === undefined || (typeof v === 'string' && /^\d+$/.test(v));
+
+// Returns { errors, warnings }; any error blocks the import.
+function validateConfigImport(data) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(data) || data.format !== CONFIG_EXPORT_FORMAT || !isPlainObject(data.config)) {
+    errors.push('This is not a config export from this bot.');
+    return { errors, warnings };
+  }
+  if (data.version > CONFIG_EXPORT_VERSION) {
+    errors.push(`The file is from a newer bot version (format ${data.version}).`);
+    return { errors, warnings };
+  }
+
+  if (data.exportedAt !== undefined && data.exportedAt !== null && typeof data.exportedAt !== 'string') {
+    errors.push('exportedAt must be a date string.');
+  }
+
+  const c = data.config;
+  const knownKey = key => Boolean(findLobbyByKey(key));
+
+  for (const field of [...CONFIG_CHANNEL_FIELDS, ...CONFIG_ROLE_FIELDS]) {
+    if (!isIdOrNull(c[field])) errors.push(`${field} must be an ID or null.`);
+  }
+  for (const field of ['alertEnabled', 'leaveAlertEnabled']) {
+    if (c[field] === undefined) continue;
+    if (!isPlainObject(c[field]) || Object.values(c[field]).some(v => typeof v !== 'boolean')) {
+      errors.push(`${field} must map lobby keys to true/false.`);
+      continue;
+    }
+    for (const key of Object.keys(c[field])) {
+      if (!knownKey(key)) warnings.push(`${field}: unknown lobby "${key}"`);
+    }
+  }
+  if (c.alertDigest !== undefined) {
+    const validMinutes = v => Number.isInteger(v) && v >= 1 && v <= DIGEST_MAX_MINUTES;
+    if (!isPlainObject(c.alertDigest) || !Object.values(c.alertDigest).every(validMinutes)) {
+      errors.push(`alertDigest must map lobby keys to 1-${DIGEST_MAX_MINUTES} minutes.`);
+    } else {
+      for (const key of Object.keys(c.alertDigest)) {
+        if (!knownKey(key)) warnings.push(`alertDigest: unknown lobby "${key}"`);
+      }
+    }
+  }
+  if (c.whaleThresholds !== undefined &&
+      (!isPlainObject(c.whaleThresholds) || Object.values(c.whaleThresholds).some(v => typeof v !== 'number' || v <= 0))) {
+    errors.push('whaleThresholds must map scopes to positive numbers.');
+  }
+
+  if (c.watches !== undefined && !Array.isArray(c.watches)) errors.push('watches must be a list.');
+  for (const w of Array.isArray(c.watches) ? c.watches : []) {
+    const cond = w && w.condition;
+    const validCondition =
+      isPlainObject(cond) &&
+      ['players', 'pot', 'top', 'over'].includes(cond.metric) &&
+      Boolean(WATCH_OPERATORS[cond.op]) &&
+      typeof cond.value === 'number' &&
+      (cond.metric !== 'over' || Number.isInteger(cond.size));
+    if (!isPlainObject(w) || !Number.isInteger(w.id) || typeof w.lobbyKey !== 'string' || !validCondition ||
+        typeof w.intervalMinutes !== 'number' || w.intervalMinutes <= 0) {
+      errors.push(`Watch ${w && w.id !== undefined ? w.id : '?'} is malformed.`);
+    } else if (!knownKey(w.lobbyKey)) {
+      warnings.push(`Watch ${w.id}: unknown lobby "${w.lobbyKey}"`);
+    }
+  }
+
+  if (c.refreshPanels !== undefined && !Array.isArray(c.refreshPanels)) errors.push('refreshPanels must be a list.');
+  for (const p of Array.isArray(c.refreshPanels) ? c.refreshPanels : []) {
+    if (!isPlainObject(p) || !Number.isInteger(p.id) || !isIdOrNull(p.channelId) || typeof p.region !== 'string' ||
+        (p.lobbyKeys !== null && p.lobbyKeys !== undefined &&
+          (!Array.isArray(p.lobbyKeys) || p.lobbyKeys.some(key => typeof key !== 'string'))) ||
+        (p.intervalMinutes !== undefined && (!Number.isInteger(p.intervalMinutes) || p.intervalMinutes < 1))) {
+      errors.push(`Refresh panel ${p && p.id !== undefined ? p.id : '?'} is malformed.`);
+      continue;
+    }
+    if (!getRegions().includes(p.region)) {
+      warnings.push(`Refresh panel ${p.id}: unknown region "${p.region}"`);
+    }
+    for (const key of p.lobbyKeys || []) {
+      if (!knownKey(key)) warnings.push(`Refresh panel ${p.id}: unknown lobby "${key}"`);
+    }
+  }
+
+  if (c.tracks !== undefined && !Array.isArray(c.tracks)) errors.push('tracks must be a list.');
+  for (const t of Array.isArray(c.tracks) ? c.tracks : []) {
+    if (!isPlainObject(t) || !Number.isInteger(t.id) || typeof t.name !== 'string' ||
+        (t.privyId !== null && t.privyId !== undefined && typeof t.privyId !== 'string') ||
+        !isIdOrNull(t.channelId) || !isIdOrNull(t.roleId)) {
+      errors.push(`Track ${t && t.id !== undefined ? t.id : '?'} is malformed.`);
+    }
+  }
+
+  if (c.playerLinks !== undefined && !isPlainObject(c.playerLinks)) errors.push('playerLinks must map user IDs to players.');
+  for (const [userId, link] of Object.entries(isPlainObject(c.playerLinks) ? c.playerLinks : {})) {
+    if (!isIdOrNull(userId) || !isPlainObject(link) || typeof link.name !== 'string' ||
+        (link.privyId !== null && link.privyId !== undefined && typeof link.privyId !== 'string')) {
+      errors.push(`Player link for user ${userId} is malformed.`);
+    }
+  }
+
+  if (c.alertRoutes !== undefined && !isPlainObject(c.alertRoutes)) errors.push('alertRoutes must map lobby keys to routes.');
+  for (const [key, route] of Object.entries(isPlainObject(c.alertRoutes) ? c.alertRoutes : {})) {
+    if (!isPlainObject(route) || !isIdOrNull(route.channelId) || !isIdOrNull(route.roleId)) {
+      errors.push(`Alert route for "${key}" is malformed.`);
+    } else if (!knownKey(key)) {
+      warnings.push(`alertRoutes: unknown lobby "${key}"`);
+    }
+  }
+
+  if (c.notifyRoles !== undefined &&
+      (!isPlainObject(c.notifyRoles) || !Object.values(c.notifyRoles).every(v => typeof v === 'string' && isIdOrNull(v)))) {
+    errors.push('notifyRoles must map lobbies/regions to role IDs.');
+  }
+
+  if (c.defaultRegion && !getRegions().includes(c.defaultRegion)) {
+    warnings.push(`Default region "${c.defaultRegion}" does not exist`);
+  }
+  if (c.timeZone && !normalizeTimeZone(c.timeZone)) errors.push(`Unknown time zone "${c.timeZone}".`);
+  if (c.timeFormat && !TIME_FORMATS.includes(c.timeFormat)) errors.push(`Unknown time format "${c.timeFormat}".`);
+  if (c.currency && !isKnownCurrency(c.currency)) errors.push(`Unknown currency "${c.currency}".`);
+  if (c.minSize !== undefined && c.minSize !== null && (typeof c.minSize !== 'number' || c.minSize < 0)) {
+    errors.push('minSize must be a number or null.');
+  }
+
+  return { errors, warnings };
+}
+
+// Keeps IDs that exist in the guild, remaps missing ones by name, and
+// clears the rest. Returns the rewritten config and one note per change.
+function remapConfigReferences(data, guild) {
+  const stored = JSON.parse(JSON.stringify(data.config));
+  const notes = [];
+  const lookups = {
+    channel: { cache: guild.channels && guild.channels.cache, names: data.channels || {}, mention: id => `<#${id}>` },
+    role: { cache: guild.roles && guild.roles.cache, names: data.roles || {}, mention: id => `<@&${id}>` }
+  };
+
+  const remap = (kind, id, label) => {
+    if (!id) return null;
+    const { cache, names, mention } = lookups[kind];
+    if (cache && cache.has(id)) return id;
+
+    const name = names[id];
+    const match = name && cache
+      ? Array.from(cache.values()).find(x => x.name && x.name.toLowerCase() === name.toLowerCase())
+      : null;
+    if (match) {
+      notes.push(`${label}: ${kind} "${name}" remapped to ${mention(match.id)}`);
+      return match.id;
     }
-    return;
+    notes.push(`⚠ ${label}: ${kind} ${name ? `"${name}"` : id} not found here, cleared`);
+    return null;
+  };
+
+  for (const field of CONFIG_CHANNEL_FIELDS) stored[field] = remap('channel', stored[field], field);
+  for (const field of CONFIG_ROLE_FIELDS) stored[field] = remap('role', stored[field], field);
+
+  stored.refreshPanels = (stored.refreshPanels || []).filter(p => {
+    p.channelId = remap('channel', p.channelId, `Refresh panel ${p.id}`);
+    if (!p.channelId) notes.push(`⚠ Refresh panel ${p.id} dropped (no channel)`);
+    return Boolean(p.channelId);
+  });
+  for (const t of stored.tracks || []) {
+    t.channelId = remap('channel', t.channelId, `Track ${t.id}`);
+    t.roleId = remap('role', t.roleId, `Track ${t.id}`);
+  }
+  for (const [key, route] of Object.entries(stored.alertRoutes || {})) {
+    route.channelId = remap('channel', route.channelId, `Alert route ${key}`);
+    route.roleId = remap('role', route.roleId, `Alert route ${key}`);
+    if (!route.channelId && !route.roleId) delete stored.alertRoutes[key];
+  }
+  // a missing alert role is simply created again on the next panel click
+  for (const [scope, roleId] of Object.entries(stored.notifyRoles || {})) {
+    const mapped = remap('role', roleId, `Alert role ${describeNotifyScope(scope)}`);
+    if (mapped) stored.notifyRoles[scope] = mapped;
+    else delete stored.notifyRoles[scope];
   }
 
-  if (sub === 'list') {
-    const channelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
-    const usLines = [];
-    const euLines = [];
-    for (const lobby of LOBBIES) {
-      let state;
-      if (!lobby.url) {
-        state = 'NO API';
-      } else {
-        state = cfg.alertEnabled[lobby.key] ? 'ON' : 'OFF';
-      }
-      const line = `$${lobby.lobby}  - ${state}`;
-      if (lobby.region === 'us') usLines.push(line);
-      else euLines.push(line);
+  return { stored, notes };
+}
+
+function formatConfigDiffValue(key, value) {
+  if (value === null || value === undefined || value === '') return 'none';
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  if (isPlainObject(value)) return `${Object.keys(value).length} entr${Object.keys(value).length === 1 ? 'y' : 'ies'}`;
+  if (/ChannelId$/.test(key)) return `<#${value}>`;
+  if (/RoleId$/.test(key)) return `<@&${value}>`;
+  return String(value);
+}
+
+function describeConfigDiff(before, after) {
+  const lines = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    if (/^next\w+Id$/.test(key)) continue; // internal counters
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    lines.push(`${key}: ${formatConfigDiffValue(key, before[key])} → ${formatConfigDiffValue(key, after[key])}`);
+  }
+  return lines;
+}
+
+// Discord caps embed field values at 1024 characters.
+function truncateLines(lines, limit = 1000) {
+  const out = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > limit) {
+      out.push(`... and ${lines.length - out.length} more`);
+      break;
     }
+    out.push(line);
+    length += line.length + 1;
+  }
+  return out.join('\n');
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle('Join Alert Status')
-      .setDescription(`Alert channel: ${channelText}`)
-      .addFields(
-        { name: 'US lobbies', value: usLines.join('\n') || 'None', inline: true },
-        { name: 'EU lobbies', value: euLines.join('\n') || 'None', inline: true }
-      )
-      .setFooter({
-        text: 'Use ,alert on/off <lobby> <region> to change'
-      })
-      .setColor(ORANGE);
+async function handleConfigExport(message, cfg) {
+  const data = buildConfigExport(message.guild, cfg);
+  const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2), 'utf8'), {
+    name: `dbdiscord-config-${message.guild.id}.json`
+  });
+  const embed = new EmbedBuilder()
+    .setTitle('Config export')
+    .setDescription(
+      [
+        `Watches: ${data.config.watches.length}, refresh panels: ${data.config.refreshPanels.length}, tracks: ${data.config.tracks.length}`,
+        '',
+        'Attach this file to `,config import` in any server to copy the setup.'
+      ].join('\n')
+    )
+    .setColor(ORANGE);
+  await message.reply({ embeds: [embed], files: [file] });
+}
+
+async function handleConfigImport(message, cfg) {
+  const attachment = message.attachments ? message.attachments.values().next().value : null;
+  const fail = async description => {
+    const embed = new EmbedBuilder().setTitle('Config import failed').setDescription(description).setColor(ORANGE);
     await message.reply({ embeds: [embed] });
+  };
+
+  if (!attachment) {
+    await fail('Attach a file from `,config export` to the `,config import` message.');
+    return;
+  }
+  if (attachment.size > CONFIG_IMPORT_MAX_BYTES) {
+    await fail('That file is too large to be a config export.');
     return;
   }
 
+  let data;
+  try {
+    const res = await axios.get(attachment.url, {
+      timeout: 10000,
+      responseType: 'text',
+      transformResponse: x => x,
+      maxContentLength: CONFIG_IMPORT_MAX_BYTES
+    });
+    data = JSON.parse(res.data);
+  } catch (err) {
+    await fail(`Could not read the file: ${err.message || err}`);
+    return;
+  }
 
-  if (sub === 'status') {
-    const channelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
-    const enabled = [];
-    for (const lobby of LOBBIES) {
-      if (!lobby.url) continue; // skip no-API lobbies
-      if (cfg.alertEnabled[lobby.key]) {
-        enabled.push(`$${lobby.lobby} ${lobby.region.toUpperCase()}`);
-      }
+  if (isPlainObject(data) && isPlainObject(data.config)) {
+    // exports from before schema versions have none
+    const schemaVersion = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0 || schemaVersion > CONFIG_SCHEMA_VERSION) {
+      await fail(
+        Number.isInteger(schemaVersion) && schemaVersion > CONFIG_SCHEMA_VERSION
+          ? `The file is from a newer bot version (schema ${schemaVersion}).`
+          : `schemaVersion must be a whole number from 0 to ${CONFIG_SCHEMA_VERSION}.`
+      );
+      return;
     }
-    const enabledText = enabled.length ? enabled.join(', ') : 'none';
+    data.config = migrateGuildEntry(data.config, schemaVersion);
+  }
+  const { errors, warnings } = validateConfigImport(data);
+  if (errors.length > 0) {
+    await fail(truncateLines(errors, 3500));
+    return;
+  }
+
+  // the bot-manager role can only be changed with `,config manager-role`,
+  // which needs Manage Server
+  const importedManagerRoleId = data.config.managerRoleId || null;
+  data.config.managerRoleId = cfg.managerRoleId || null;
+  if (importedManagerRoleId && importedManagerRoleId !== data.config.managerRoleId) {
+    warnings.push('managerRoleId is not imported; set it with `,config manager-role` (Manage Server only)');
+  }
+
+  const { stored, notes } = remapConfigReferences(data, message.guild);
+  const diff = describeConfigDiff(serializeGuildConfig(cfg), serializeGuildConfig(deserializeGuildConfig(stored)));
+
+  const token = crypto.randomBytes(6).toString('hex');
+  const now = Date.now();
+  for (const [t, pending] of pendingConfigImports.entries()) {
+    if (pending.expiresAt <= now) pendingConfigImports.delete(t);
+  }
+  pendingConfigImports.set(token, {
+    guildId: message.guild.id,
+    userId: message.author.id,
+    stored,
+    expiresAt: now + CONFIG_IMPORT_TTL_MS
+  });
+
+  const source = data.guild && data.guild.name ? `"${data.guild.name}"` : 'another server';
+  const embed = new EmbedBuilder()
+    .setTitle('Config import preview')
+    .setDescription(
+      [
+        `Exported from ${source}${data.exportedAt ? ` on ${data.exportedAt.slice(0, 10)}` : ''}.`,
+        'Confirm within 5 minutes to replace this server\'s settings.',
+        '',
+        diff.length ? truncateLines(diff, 3000) : 'No changes.'
+      ].join('\n')
+    )
+    .setColor(ORANGE);
+  if (notes.length) embed.addFields({ name: 'Channels and roles', value: truncateLines(notes), inline: false });
+  if (warnings.length) embed.addFields({ name: 'Warnings', value: truncateLines(warnings), inline: false });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`cfgimport|confirm|${token}`).setLabel('Confirm import').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`cfgimport|cancel|${token}`).setLabel('Cancel').setStyle(ButtonStyle.Danger)
+  );
+  await message.reply({ embeds: [embed], components: [row] });
+}
+
+async function handleConfigImportButton(interaction) {
+  const [, action, token] = interaction.customId.split('|');
+  const pending = pendingConfigImports.get(token);
 
+  if (!pending || pending.expiresAt <= Date.now() || pending.guildId !== interaction.guildId) {
+    pendingConfigImports.delete(token);
     const embed = new EmbedBuilder()
-      .setTitle('Alert Status')
-      .setDescription(
-        [
-          `Alert channel: ${channelText}`,
-          'Join alerts enabled on:',
-          `  ${enabledText}`
-        ].join('\n')
-      )
+      .setTitle('Config import expired')
+      .setDescription('This preview is no longer valid. Run `,config import` again.')
       .setColor(ORANGE);
-    await message.reply({ embeds: [embed] });
+    await interaction.update({ embeds: [embed], components: [] });
     return;
   }
+  if (interaction.user.id !== pending.userId) {
+    await interaction.reply({ content: 'Only the member who started this import can confirm it.', ephemeral: true });
+    return;
+  }
+  // permissions may have changed since the preview was posted
+  const currentCfg = getGuildConfig(pending.guildId);
+  if (!canManageBot(interaction.member, currentCfg)) {
+    await interaction.reply({ embeds: [buildPermissionDeniedEmbed(currentCfg)], ephemeral: true });
+    return;
+  }
+
+  pendingConfigImports.delete(token);
+  if (action !== 'confirm') {
+    const embed = new EmbedBuilder()
+      .setTitle('Config import cancelled')
+      .setDescription('No settings were changed.')
+      .setColor(ORANGE);
+    await interaction.update({ embeds: [embed], components: [] });
+    return;
+  }
+
+  // keep runtime state so alerts don't re-announce everyone already seen
+  const previous = guildConfigs.get(pending.guildId);
+  const cfg = deserializeGuildConfig(pending.stored);
+  cfg.managerRoleId = currentCfg.managerRoleId || null;
+  if (previous) {
+    cfg.lastSeenPlayers = previous.lastSeenPlayers;
+    cfg.whaleAlerted = previous.whaleAlerted;
+    cfg.alertDigestState = previous.alertDigestState;
+    cfg.alertWarmup = previous.alertWarmup;
+  }
+  guildConfigs.set(pending.guildId, cfg);
+  saveGuildConfigsToDisk();
 
   const embed = new EmbedBuilder()
-    .setTitle('Unknown subcommand')
-    .setDescription(
-      'Usage: `,alert on|off <lobby> <region>`, `,alert channel #channel`, `,alert list`, `,alert status`'
-    )
+    .setTitle('Config imported')
+    .setDescription('The imported settings are now active. Use `,config` to review them.')
     .setColor(ORANGE);
-  await message.reply({ embeds: [embed] });
+  await interaction.update({ embeds: [embed], components: [] });
 }
 
-// ----- ,watch command -----
-async function handleWatchCommand(message, args) {
+// ----- ,config command (default-region + ping role) -----
+// ----- ,config command (default-region + ping roles + channels) -----
+async function handleConfigCommand(message, args) {
   const guildId = message.guild.id;
   const cfg = getGuildConfig(guildId);
 
   const sub = (args[0] || '').toLowerCase();
 
-  // ,watch  -> short help
+  // No subcommand -> show config summary
   if (!sub) {
+    const alertChannelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
+    const watchChannelText = cfg.watchChannelId ? `<#${cfg.watchChannelId}>` : 'not set';
+    const refreshPanelsText = cfg.refreshPanels.size
+      ? Array.from(cfg.refreshPanels.values()).map(p => `<#${p.channelId}> ${p.region.toUpperCase()}`).join(', ')
+      : 'none';
+    const defaultRegion = cfg.defaultRegion || 'not set';
+    const lobbyPingText = cfg.lobbyPingRoleId ? `<@&${cfg.lobbyPingRoleId}>` : 'none';
+    const watchPingText = cfg.watchPingRoleId ? `<@&${cfg.watchPingRoleId}>` : 'none';
+    const managerRoleText = cfg.managerRoleId ? `<@&${cfg.managerRoleId}>` : 'none (Manage Server only)';
+
     const embed = new EmbedBuilder()
-      .setTitle('Lobby Watchers')
+      .setTitle('Bot Configuration')
       .setDescription(
         [
-          'Watch set (minutes)',
+          `Default region: ${defaultRegion}`,
+          `Alert channel (join alerts): ${alertChannelText}`,
+          `Watch channel (watch alerts): ${watchChannelText}`,
+          `Refresh panels (summary): ${refreshPanelsText}`,
+          `Lobby ping role (join alerts): ${lobbyPingText}`,
+          `Watch ping role (watch alerts): ${watchPingText}`,
+          `Bot manager role: ${managerRoleText}`,
+          `Time zone: ${getGuildTimeZone(guildId)} (${getGuildTimeFormat(guildId)})`,
+          `Currency: ${describeGuildCurrency(guildId)}`,
+          `Leaderboard min size: ${cfg.minSize === null ? `bigger than ${ACTIVE_SIZE_CUTOFF}` : cfg.minSize}`,
           '',
-          'Usage:',
-          '  `,watch add <lobby> <region> <threshold> <minutes>`',
-          '  `,watch list`',
-          '  `,watch remove <id>`',
-          '  `,watch clear`',
+          'Commands:',
+          `  ,config default-region <${getRegions().join('|')}>`,
+          '  ,config lobby setrole @role',
+          '  ,config watch setrole @role',
+          '  ,config watch channel #channel',
+          '  ,config refresh add #channel <region> [lobbies|all] [minutes]',
+          '  ,config refresh remove <id>',
+          '  ,config refresh list',
+          '  ,config manager-role @role',
+          '  ,config timezone <IANA zone|reset>',
+          '  ,config time-format <12h|24h|discord>',
+          '  ,config currency <sol|usd|eur|...> [both]',
+          '  ,config min-size <size|reset>',
+          '  ,config export',
+          '  ,config import (attach an export file)',
+          '  ,alert channel #channel'
         ].join('\n')
       )
       .setColor(ORANGE);
@@ -942,233 +5817,164 @@ async function handleWatchCommand(message, args) {
     return;
   }
 
-  // ,watch add <lobby> <region> <threshold> <minutes>
-  if (sub === 'add') {
-    if (args.length < 5) {
-      const embed = new EmbedBuilder()
-        .setTitle('Invalid arguments')
-        .setDescription(
-          'Usage: `,watch add <lobby> <region> <threshold> <minutes>`\nExample: `,watch add 5 us 6 2`'
-        )
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
-    const lobbyNum = parseInt(args[1], 10);
-    const region = (args[2] || '').toLowerCase();
-    const threshold = parseInt(args[3], 10);
-    const minutes = parseInt(args[4], 10);
-
-    if (![1, 5, 20].includes(lobbyNum) || !['us', 'eu'].includes(region)) {
-      const embed = new EmbedBuilder()
-        .setTitle('Invalid arguments')
-        .setDescription(
-          'Lobby must be 1, 5, or 20.\nRegion must be "us" or "eu".\n\nExample: `,watch add 5 us 6 2`'
-        )
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
-    if (!Number.isInteger(threshold) || threshold < 1) {
-      const embed = new EmbedBuilder()
-        .setTitle('Invalid threshold')
-        .setDescription(
-          'Threshold must be a whole number of players and at least 1.\nExample: `,watch add 5 us 6 2`'
-        )
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
-    if (!Number.isInteger(minutes) || minutes < 1) {
-      const embed = new EmbedBuilder()
-        .setTitle('Invalid minutes')
-        .setDescription(
-          'Minutes must be a whole number and at least 1.\nExample: `,watch add 5 us 6 2`'
-        )
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
+  if (sub === 'export') {
+    await handleConfigExport(message, cfg);
+    return;
+  }
 
-    const lobbyDef = findLobby(region, lobbyNum);
-    if (!lobbyDef) {
-      const embed = new EmbedBuilder()
-        .setTitle('Error')
-        .setDescription('Could not find that lobby definition.')
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
+  if (sub === 'import') {
+    await handleConfigImport(message, cfg);
+    return;
+  }
 
-    if (!lobbyDef.url) {
-      const embed = new EmbedBuilder()
-        .setTitle(lobbyDef.label)
-        .setDescription('No API for this server.')
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
+  // ,config manager-role @role  (Manage Server only)
+  if (sub === 'manager-role') {
+    if (!hasManageGuild(message.member)) {
+      await message.reply({ embeds: [buildPermissionDeniedEmbed(cfg, { adminOnly: true })] });
       return;
     }
 
-    const id = cfg.nextWatchId++;
-    cfg.watches.set(id, {
-      id,
-      lobbyKey: lobbyDef.key,
-      threshold,
-      intervalMinutes: minutes,
-      lastAlertAt: null
-    });
+    const role = message.mentions.roles.first();
+    cfg.managerRoleId = role ? role.id : null;
     saveGuildConfigsToDisk();
-
     const embed = new EmbedBuilder()
-      .setTitle('Watch created')
+      .setTitle(role ? 'Bot manager role set' : 'Bot manager role cleared')
       .setDescription(
-        [
-          `Lobby: ${lobbyDef.label}`,
-          `Threshold: ${threshold} players`,
-          `Interval: ${minutes} minute(s)`
-        ].join('\n')
+        role
+          ? `Members with ${role} can now change the bot's settings.`
+          : 'Only members with Manage Server can change the bot\'s settings.'
       )
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  // ,watch list
-  if (sub === 'list') {
-    if (cfg.watches.size === 0) {
+  // ,config timezone <IANA zone|reset>
+  if (sub === 'timezone') {
+    const input = args[1] || '';
+    const timeZone = input.toLowerCase() === 'reset' ? DEFAULT_TIME_ZONE : normalizeTimeZone(input);
+    if (!timeZone) {
       const embed = new EmbedBuilder()
-        .setTitle('No active watches')
+        .setTitle('Invalid time zone')
         .setDescription(
-          'There are no active watches in this server.\nUse `,watch add <lobby> <region> <threshold> <minutes>` to create one.'
+          'Use an IANA time zone name, e.g. `Europe/London`, `Europe/Berlin` or `America/Los_Angeles`.\n' +
+          'Example: `,config timezone Europe/London` (or `,config timezone reset`)'
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
-
-    const watchChannelText = cfg.watchChannelId
-  ? `<#${cfg.watchChannelId}>`
-  : (cfg.alertChannelId ? `<#${cfg.alertChannelId}> (using alert channel)` : 'not set');
-
-const embed = new EmbedBuilder()
-  .setTitle('Active Lobby Watches')
-  .setDescription(`Watch alerts channel: ${watchChannelText}`)
-  .setColor(ORANGE);
-
-    for (const [id, watch] of cfg.watches.entries()) {
-      const lobbyDef = LOBBIES.find(l => l.key === watch.lobbyKey);
-      const lobbyLabel = lobbyDef ? lobbyDef.label : watch.lobbyKey;
-      const last = watch.lastAlertAt ? formatEtTime(watch.lastAlertAt) : 'never';
-
-embed.addFields({
-  name: `${lobbyLabel} (ID ${id})`,
-  value: `Threshold: ${watch.threshold} players\nInterval: ${watch.intervalMinutes} minute(s)\nLast alert: ${last}`,
-  inline: false
-});
-    }
-
+    cfg.timeZone = timeZone === DEFAULT_TIME_ZONE ? null : timeZone;
+    saveGuildConfigsToDisk();
+    const embed = new EmbedBuilder()
+      .setTitle('Time zone set')
+      .setDescription(`Times will be shown in ${timeZone}.\nCurrent time: ${formatGuildTime(new Date(), guildId)}`)
+      .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  // ,watch remove <id>
-  if (sub === 'remove') {
-    if (args.length < 2) {
-      const embed = new EmbedBuilder()
-        .setTitle('Usage')
-        .setDescription('` ,watch remove <id> `')
-        .setColor(ORANGE);
-      await message.reply({ embeds: [embed] });
-      return;
-    }
-    const id = parseInt(args[1], 10);
-    if (!cfg.watches.has(id)) {
+  // ,config time-format <12h|24h|discord>
+  if (sub === 'time-format') {
+    const format = (args[1] || '').toLowerCase();
+    if (!TIME_FORMATS.includes(format)) {
       const embed = new EmbedBuilder()
-        .setTitle('Watch not found')
+        .setTitle('Invalid time format')
         .setDescription(
-          `No watch found with ID ${id}.\nUse \`,watch list\` to see all active watches.`
+          [
+            'Time format must be one of:',
+            '`12h`: 6:30:21pm EDT',
+            '`24h`: 18:30:21 EDT',
+            '`discord`: Discord timestamps, shown in each reader\'s own time zone',
+            'Example: `,config time-format 24h`'
+          ].join('\n')
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
-    cfg.watches.delete(id);
+    cfg.timeFormat = format === '12h' ? null : format;
     saveGuildConfigsToDisk();
     const embed = new EmbedBuilder()
-      .setTitle('Watch removed')
-      .setDescription(`Watch ${id} removed.`)
+      .setTitle('Time format set')
+      .setDescription(`Time format set to ${format}.\nCurrent time: ${formatGuildTime(new Date(), guildId)}`)
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  // ,watch clear
-  if (sub === 'clear') {
-    if (cfg.watches.size === 0) {
+  // ,config currency <sol|usd|eur|gbp|...> [both]
+  if (sub === 'currency') {
+    const code = (args[1] || '').toLowerCase();
+    if (!code) {
       const embed = new EmbedBuilder()
-        .setTitle('No watches to clear')
-        .setDescription('There are no watches to clear.')
+        .setTitle('Display currency')
+        .setDescription(
+          [
+            `Values are shown as ${describeGuildCurrency(guildId)}.`,
+            'Usage: `,config currency <sol|usd|eur|gbp|...> [both]`',
+            '`both` also shows the SOL amount (or USD when the currency is SOL).'
+          ].join('\n')
+        )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
-    cfg.watches.clear();
+    if (!isKnownCurrency(code)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid currency')
+        .setDescription(
+          'Currency must be `sol`, `usd` or a 3-letter fiat code such as `eur` or `gbp`.\nExample: `,config currency eur both`'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    cfg.currency = code === 'usd' ? null : code;
+    cfg.currencyShowBoth = (args[2] || '').toLowerCase() === 'both';
     saveGuildConfigsToDisk();
+
+    const lines = [`Values will be shown as ${describeGuildCurrency(guildId)}.`];
+    if (isFiatCurrency(code)) {
+      if (!fiatRates.has(code.toUpperCase())) await refreshFiatRates({ force: true });
+      if (!fiatRates.has(code.toUpperCase())) {
+        lines.push(`No ${code.toUpperCase()} rate is available yet; values are shown in USD until one is.`);
+      }
+    }
+    lines.push(`1 SOL = ${formatSolValue(1, guildId)}`);
+
     const embed = new EmbedBuilder()
-      .setTitle('Watches cleared')
-      .setDescription('All watches have been cleared for this server.')
+      .setTitle('Display currency set')
+      .setDescription(lines.join('\n'))
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
   }
 
-  // anything else
-  const embed = new EmbedBuilder()
-    .setTitle('Unknown subcommand')
-    .setDescription(
-      'Usage: `,watch add`, `,watch list`, `,watch remove`, `,watch clear`'
-    )
-    .setColor(ORANGE);
-  await message.reply({ embeds: [embed] });
-}
-
-
-// ----- ,config command (default-region + ping role) -----
-// ----- ,config command (default-region + ping roles + channels) -----
-async function handleConfigCommand(message, args) {
-  const guildId = message.guild.id;
-  const cfg = getGuildConfig(guildId);
-
-  const sub = (args[0] || '').toLowerCase();
-
-  // No subcommand -> show config summary
-  if (!sub) {
-    const alertChannelText = cfg.alertChannelId ? `<#${cfg.alertChannelId}>` : 'not set';
-    const watchChannelText = cfg.watchChannelId ? `<#${cfg.watchChannelId}>` : 'not set';
-    const refreshChannelText = cfg.refreshChannelId ? `<#${cfg.refreshChannelId}>` : 'not set';
-    const defaultRegion = cfg.defaultRegion || 'not set';
-    const lobbyPingText = cfg.lobbyPingRoleId ? `<@&${cfg.lobbyPingRoleId}>` : 'none';
-    const watchPingText = cfg.watchPingRoleId ? `<@&${cfg.watchPingRoleId}>` : 'none';
-
+  // ,config min-size <size|reset>
+  if (sub === 'min-size') {
+    const input = (args[1] || '').toLowerCase();
+    const size = input === 'reset' ? null : Number(input);
+    if (input !== 'reset' && (!input || !Number.isFinite(size) || size < 0)) {
+      const embed = new EmbedBuilder()
+        .setTitle('Invalid size')
+        .setDescription(
+          `Give the smallest size leaderboards and summaries should list (default: bigger than ${ACTIVE_SIZE_CUTOFF}).\n` +
+          'Example: `,config min-size 10` (or `,config min-size reset`)'
+        )
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+    cfg.minSize = size;
+    saveGuildConfigsToDisk();
     const embed = new EmbedBuilder()
-      .setTitle('Bot Configuration')
+      .setTitle('Minimum size set')
       .setDescription(
-        [
-          `Default region: ${defaultRegion}`,
-          `Alert channel (join alerts): ${alertChannelText}`,
-          `Watch channel (watch alerts): ${watchChannelText}`,
-          `Refresh channel (summary): ${refreshChannelText}`,
-          `Lobby ping role (join alerts): ${lobbyPingText}`,
-          `Watch ping role (watch alerts): ${watchPingText}`,
-          '',
-          'Commands:',
-          '  ,config default-region <us|eu>',
-          '  ,config lobby setrole @role',
-          '  ,config watch setrole @role',
-          '  ,config watch channel #channel',
-          '  ,config refresh channel #channel',
-          '  ,alert channel #channel'
-        ].join('\n')
+        size === null
+          ? `Leaderboards list players bigger than ${ACTIVE_SIZE_CUTOFF} again.`
+          : `Leaderboards and summaries now list players of size ${size} or more.\nUse \`min:<size>\` on \`,lb\` to override it once.`
       )
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
@@ -1178,11 +5984,12 @@ async function handleConfigCommand(message, args) {
   // ,config default-region <us|eu>
   if (sub === 'default-region') {
     const region = (args[1] || '').toLowerCase();
-    if (!['us', 'eu'].includes(region)) {
+    const regions = getRegions();
+    if (!regions.includes(region)) {
       const embed = new EmbedBuilder()
         .setTitle('Invalid region')
         .setDescription(
-          'Region must be "us" or "eu".\nExample: `,config default-region us`'
+          `Region must be one of: ${regions.map(r => `"${r}"`).join(', ')}.\nExample: \`,config default-region us\``
         )
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
@@ -1272,27 +6079,164 @@ async function handleConfigCommand(message, args) {
     return;
   }
 
-  // ,config refresh channel #channel
-  if (sub === 'refresh' && (args[1] || '').toLowerCase() === 'channel') {
-    const channel = message.mentions.channels.first();
-    if (!channel || !channel.isTextBased()) {
-      cfg.refreshChannelId = null;
+  // ,config refresh add #channel <region> [lobbies|all] [minutes]
+  // ,config refresh remove <id>
+  // ,config refresh list
+  // ,config refresh channel [#channel]  (shorthand: sets or clears one panel for the default region)
+  if (sub === 'refresh') {
+    const action = (args[1] || '').toLowerCase();
+    const usage = [
+      'Usage:',
+      '  `,config refresh add #channel <region> [lobbies|all] [minutes]`',
+      '  `,config refresh remove <id>`',
+      '  `,config refresh list`',
+      'Example: `,config refresh add #lobbies us 1,20 2`'
+    ].join('\n');
+
+    if (action === 'list' || !action) {
+      const embed = new EmbedBuilder()
+        .setTitle('Auto Refresh Panels')
+        .setColor(ORANGE);
+      if (cfg.refreshPanels.size === 0) {
+        embed.setDescription(`No refresh panels.\n\n${usage}`);
+      } else {
+        embed.setDescription(usage);
+        for (const panel of cfg.refreshPanels.values()) {
+          embed.addFields({ name: `Panel ${panel.id}`, value: describeRefreshPanel(panel), inline: false });
+        }
+      }
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (action === 'add' || action === 'channel') {
+      const channel = message.mentions.channels.first();
+
+      const shorthandPanel = Array.from(cfg.refreshPanels.values()).find(p => p.shorthand) || null;
+
+      if (action === 'channel' && !channel) {
+        if (shorthandPanel) {
+          cfg.refreshPanels.delete(shorthandPanel.id);
+          saveGuildConfigsToDisk();
+          await deleteRefreshPanelMessage(message.guild, shorthandPanel);
+        }
+        const embed = new EmbedBuilder()
+          .setTitle('Refresh channel cleared')
+          .setDescription(
+            shorthandPanel
+              ? `Panel ${shorthandPanel.id} removed. Panels made with \`,config refresh add\` are kept.`
+              : 'No refresh channel was set. Use `,config refresh remove <id>` for other panels.'
+          )
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+
+      if (!channel || !channel.isTextBased()) {
+        const embed = new EmbedBuilder()
+          .setTitle('Invalid channel')
+          .setDescription(`Please mention a text channel.\n\n${usage}`)
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+
+      const rest = stripMentionArgs(args.slice(2));
+      const region = action === 'channel' ? cfg.defaultRegion : (rest[0] || '').toLowerCase();
+      if (!region || !getRegions().includes(region)) {
+        const embed = new EmbedBuilder()
+          .setTitle('Invalid region')
+          .setDescription(
+            action === 'channel'
+              ? 'Set a default region first with `,config default-region <region>`, or use `,config refresh add`.'
+              : `Region must be one of: ${getRegions().map(r => `"${r}"`).join(', ')}.\n\n${usage}`
+          )
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+
+      let lobbyKeys = null;
+      const lobbyArg = action === 'channel' ? '' : (rest[1] || '').toLowerCase();
+      if (lobbyArg && lobbyArg !== 'all') {
+        lobbyKeys = [];
+        for (const stake of lobbyArg.split(',')) {
+          const resolved = resolveLobbyArgs(stake, region);
+          if (!resolved.lobbyDef) {
+            await message.reply({ embeds: [buildInvalidLobbyEmbed(resolved, usage)] });
+            return;
+          }
+          if (!lobbyKeys.includes(resolved.lobbyDef.key)) lobbyKeys.push(resolved.lobbyDef.key);
+        }
+      }
+
+      const minutesArg = action === 'channel' ? '' : rest[2];
+      const minutes = minutesArg ? parseInt(minutesArg, 10) : 1;
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        const embed = new EmbedBuilder()
+          .setTitle('Invalid minutes')
+          .setDescription(`Minutes must be a whole number and at least 1.\n\n${usage}`)
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+
+      // the shorthand replaces its own panel instead of adding another one
+      const replacing = action === 'channel' ? shorthandPanel : null;
+      const keepMessage = Boolean(replacing) && replacing.channelId === channel.id;
+      if (replacing && !keepMessage) {
+        await deleteRefreshPanelMessage(message.guild, replacing);
+      }
+      const id = replacing ? replacing.id : cfg.nextRefreshPanelId++;
+      const panel = {
+        id,
+        channelId: channel.id,
+        region,
+        lobbyKeys,
+        intervalMinutes: minutes,
+        messageId: keepMessage ? replacing.messageId : null,
+        lastRefreshAt: null,
+        shorthand: action === 'channel'
+      };
+      cfg.refreshPanels.set(id, panel);
       saveGuildConfigsToDisk();
+
       const embed = new EmbedBuilder()
-        .setTitle('Refresh channel cleared')
-        .setDescription('Auto refresh disabled. No refresh channel set.')
+        .setTitle(action === 'channel' ? 'Refresh channel set' : 'Refresh panel added')
+        .setDescription(`${describeRefreshPanel(panel)}\n\nThe panel message is edited in place, so it won't bump the channel.`)
+        .setFooter({ text: `Panel ID ${id}` })
+        .setColor(ORANGE);
+      await message.reply({ embeds: [embed] });
+      return;
+    }
+
+    if (action === 'remove') {
+      const id = parseInt(args[2], 10);
+      const panel = cfg.refreshPanels.get(id);
+      if (!panel) {
+        const embed = new EmbedBuilder()
+          .setTitle('Panel not found')
+          .setDescription(`No refresh panel with ID ${args[2] || '?'}.\nUse \`,config refresh list\` to see panels.`)
+          .setColor(ORANGE);
+        await message.reply({ embeds: [embed] });
+        return;
+      }
+
+      cfg.refreshPanels.delete(id);
+      saveGuildConfigsToDisk();
+      await deleteRefreshPanelMessage(message.guild, panel);
+
+      const embed = new EmbedBuilder()
+        .setTitle('Refresh panel removed')
+        .setDescription(`Panel ${id} removed.`)
         .setColor(ORANGE);
       await message.reply({ embeds: [embed] });
       return;
     }
 
-    cfg.refreshChannelId = channel.id;
-    saveGuildConfigsToDisk();
     const embed = new EmbedBuilder()
-      .setTitle('Refresh channel set')
-      .setDescription(
-        `Auto lobby summary will refresh every minute in ${channel} using the default region.`
-      )
+      .setTitle('Unknown subcommand')
+      .setDescription(usage)
       .setColor(ORANGE);
     await message.reply({ embeds: [embed] });
     return;
@@ -1304,11 +6248,14 @@ async function handleConfigCommand(message, args) {
     .setDescription(
       [
         'Usage:',
-        '  ,config default-region <us|eu>',
+        `  ,config default-region <${getRegions().join('|')}>`,
         '  ,config lobby setrole @role',
         '  ,config watch setrole @role',
         '  ,config watch channel #channel',
-        '  ,config refresh channel #channel'
+        '  ,config refresh add #channel <region> [lobbies|all] [minutes]',
+        '  ,config refresh remove <id>',
+        '  ,config refresh list',
+        '  ,config manager-role @role'
       ].join('\n')
     )
     .setColor(ORANGE);
@@ -1320,14 +6267,36 @@ async function handleConfigCommand(message, args) {
 async function pollLobbiesAndProcessAlerts() {
   try {
     // Fetch all lobbies (in parallel)
-    const fetchPromises = LOBBIES.map(lobby => fetchLobbyPlayers(lobby));
-    await Promise.all(fetchPromises);
+    const lobbies = LOBBIES;
+    const fetchPromises = lobbies.map(lobby => fetchLobbyPlayers(lobby));
+    const snapshots = await Promise.all(fetchPromises);
+
+    // Record this poll in the history store and session tracker (successful fetches only)
+    const historyRecords = [];
+    lobbies.forEach((lobby, i) => {
+      const snapshot = snapshots[i];
+      if (!snapshot || snapshot.noApi) return;
+      historyRecords.push(buildHistoryRecord(lobby, snapshot));
+      updateLobbySessions(lobby.key, snapshot);
+    });
+    appendHistory(historyRecords);
 
     // Process join alerts
     await processJoinAlerts();
 
+    // Process whale alerts
+    await processWhaleAlerts();
+
+    // Process tracked players
+    await processTrackAlerts();
+
     // Process watches
     await processWatches();
+
+    // Personal DM notifications
+    await processNotifySubscriptions();
+
+    checkReplayFinished();
   } catch (err) {
     console.error('Error in pollLobbiesAndProcessAlerts:', err);
   }
@@ -1335,79 +6304,83 @@ async function pollLobbiesAndProcessAlerts() {
 
 async function processJoinAlerts() {
   for (const [guildId, cfg] of guildConfigs.entries()) {
-    // JOIN alerts always go to alertChannelId only
-    if (!cfg.alertChannelId) continue;
-
-    const guild = client.guilds.cache.get(guildId);
-    if (!guild) continue;
-
-    const channel = guild.channels.cache.get(cfg.alertChannelId);
-    if (!channel || !channel.isTextBased()) continue;
-
-    const pingContent = cfg.lobbyPingRoleId
-  ? `<@&${cfg.lobbyPingRoleId}>`
-  : 'No ping role given';
-
-
     for (const lobby of LOBBIES) {
       const key = lobby.key;
-      if (!cfg.alertEnabled[key]) continue;
+      const joinsOn = Boolean(cfg.alertEnabled[key]);
+      const leavesOn = Boolean(cfg.leaveAlertEnabled[key]);
+      if (!joinsOn && !leavesOn) continue;
+
+      // JOIN alerts go to the lobby's route, or alertChannelId/lobbyPingRoleId
+      const route = getAlertRoute(cfg, key);
+      const channel = resolveTextChannel(guildId, route.channelId);
+      if (!channel) continue;
+      const pingContent = formatRoleMentions([route.roleId, ...getNotifyRoleIds(guildId, cfg, lobby)]);
 
       const snapshot = lobbyCache.get(key);
       if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
 
-      // Only consider "real" players with size > 3
-      const activePlayers = snapshot.players.filter(
-        p => typeof p.size === 'number' && p.size > 3
-      );
-      const activeCount = activePlayers.length;
-
-      if (activeCount === 0) {
-        // no active players, reset last seen and skip
-        cfg.lastSeenPlayers[key] = new Set();
-        continue;
-      }
-
-      const currentIds = new Set(
-        activePlayers.map(p => p.privyId || p.id).filter(Boolean)
-      );
+      // Only consider "real" players with size > 3; players who vanished for
+      // less than JOIN_GRACE_SECONDS still count as present (see sessions)
+      if (!lobbySessions.has(key)) continue; // no successful poll yet
+      const activeCount = snapshot.players.filter(isActivePlayer).length;
+      const present = getPresentPlayers(key);
+      const currentIds = new Set(present.keys());
 
       if (!cfg.lastSeenPlayers[key]) {
         cfg.lastSeenPlayers[key] = new Set();
+        startAlertBaseline(cfg, `join|${key}`);
       }
       const lastSet = cfg.lastSeenPlayers[key];
 
       const newJoins = [];
-      for (const id of currentIds) {
+      for (const [id, session] of present.entries()) {
         if (!lastSet.has(id)) {
-          const player = activePlayers.find(
-            p => (p.privyId || p.id) === id
-          );
-          if (player) newJoins.push(player);
+          newJoins.push({ ...session.player, rejoinedAfterMs: session.rejoinedAfterMs });
         }
       }
 
-            cfg.lastSeenPlayers[key] = currentIds;
+      const leftIds = [...lastSet].filter(id => !currentIds.has(id));
+
+      cfg.lastSeenPlayers[key] = currentIds;
+      if (consumeAlertWarmup(cfg, `join|${key}`)) continue;
+
+      if (cfg.alertDigest[key]) {
+        await collectAlertDigest(channel, cfg, lobby, {
+          joins: joinsOn ? newJoins : [],
+          leftIds: leavesOn ? leftIds : [],
+          activeCount
+        }, pingContent);
+        continue;
+      }
+
+      if (leavesOn && leftIds.length > 0) {
+        await sendLeaveAlert(channel, lobby, leftIds, activeCount);
+      }
 
-      if (newJoins.length === 0) continue;
+      if (!joinsOn || newJoins.length === 0) continue;
 
-      const timeStr = formatEtTime(new Date());
+      const timeStr = formatGuildTime(clockDate(), guildId);
 
       if (newJoins.length === 1) {
         const p = newJoins[0];
         const name = p.name || p.privyId || p.id || 'Unknown';
+        const joined = p.rejoinedAfterMs !== null
+          ? `rejoined ${lobby.region.toUpperCase()} $${lobby.lobby} lobby (away ${formatDuration(p.rejoinedAfterMs)})`
+          : `joined ${lobby.region.toUpperCase()} $${lobby.lobby} lobby`;
         const embed = new EmbedBuilder()
           .setTitle('Lobby Join')
           .setDescription(
-            `${name} joined ${lobby.region.toUpperCase()} $${lobby.lobby} lobby.\n` +
+            `${name} ${joined}.\n` +
             `Lobby players: ${activeCount}.\n` +
             `${timeStr}`
           )
           .setColor(ORANGE);
-        await channel.send({ content: pingContent, embeds: [embed] });
+        await channel.send({ content: pingContent, embeds: [embed] }).catch(err => {
+          console.error('Join alert send failed for guild', guildId, err.message || err);
+        });
       } else {
         const names = newJoins
-          .map(p => p.name || p.privyId || p.id || 'Unknown')
+          .map(p => `${p.name || p.privyId || p.id || 'Unknown'}${p.rejoinedAfterMs !== null ? ' (rejoined)' : ''}`)
           .map(n => `• ${n}`)
           .join('\n');
         const embed = new EmbedBuilder()
@@ -1421,7 +6394,9 @@ async function processJoinAlerts() {
             ].join('\n')
           )
           .setColor(ORANGE);
-        await channel.send({ content: pingContent, embeds: [embed] });
+        await channel.send({ content: pingContent, embeds: [embed] }).catch(err => {
+          console.error('Join alert send failed for guild', guildId, err.message || err);
+        });
       }
 
     }
@@ -1429,57 +6404,404 @@ async function processJoinAlerts() {
 }
 
 
-async function processWatches() {
-  const now = Date.now();
+function describeLeftPlayer(lobby, id, guildId) {
+  const session = getPlayerSession(lobby.key, id);
+  if (!session) return { name: id, detail: 'session length unknown' };
+
+  const p = session.player;
+  const name = p.name || p.privyId || p.id || 'Unknown';
+  const valueDisplay = formatPlayerValue(p, guildId);
+  const duration = formatDuration(session.lastSeenAt - session.startedAt);
+  return {
+    name,
+    duration,
+    detail: `Last seen: size ${Math.round(p.size)}, ${valueDisplay}`
+  };
+}
+
+// Leave alerts report each player's session length and their size/USD when
+// last seen. They are posted without a role ping.
+async function sendLeaveAlert(channel, lobby, leftIds, activeCount) {
+  const lines = leftIds.map(id => describeLeftPlayer(lobby, id, channel.guild.id));
+
+  const timeStr = formatGuildTime(clockDate(), channel.guild.id);
+  let embed;
+  if (lines.length === 1) {
+    const l = lines[0];
+    embed = new EmbedBuilder()
+      .setTitle('Lobby Leave')
+      .setDescription(
+        [
+          l.duration
+            ? `${l.name} left ${lobby.region.toUpperCase()} $${lobby.lobby} lobby after ${l.duration}.`
+            : `${l.name} left ${lobby.region.toUpperCase()} $${lobby.lobby} lobby.`,
+          l.detail,
+          `Lobby players: ${activeCount}.`,
+          timeStr
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+  } else {
+    const names = lines
+      .map(l => `• ${l.name}${l.duration ? ` - ${l.duration}` : ''} (${l.detail})`)
+      .join('\n');
+    embed = new EmbedBuilder()
+      .setTitle('Lobby Leaves')
+      .setDescription(
+        [
+          `Left ${lobby.region.toUpperCase()} $${lobby.lobby} lobby:`,
+          names,
+          `Lobby players: ${activeCount}.`,
+          timeStr
+        ].join('\n')
+      )
+      .setColor(ORANGE);
+  }
+
+  await channel.send({ embeds: [embed] }).catch(err => {
+    console.error('Leave alert send failed for guild', channel.guild.id, err.message || err);
+  });
+}
+
+// ----- Alert digests -----
+// With `,alert digest <lobby> <region> <minutes>` a lobby's join/leave alerts
+// are collected for the window and posted as one summary with a single ping.
+// The window length is saved per lobby key (cfg.alertDigest); what has been
+// collected so far (cfg.alertDigestState) is runtime-only.
+const DIGEST_MAX_MINUTES = 24 * 60;
+const DIGEST_MAX_NAMES = 20;
+
+function createDigestState(now, activeCount) {
+  return {
+    startedAt: now,
+    joins: new Map(),  // id -> name
+    leaves: new Map(), // id -> { name, duration, detail } (see describeLeftPlayer)
+    startCount: activeCount,
+    endCount: activeCount,
+    low: activeCount,
+    high: activeCount
+  };
+}
+
+function formatDigestList(items) {
+  const lines = items.slice(0, DIGEST_MAX_NAMES).map(item => `• ${item}`);
+  if (items.length > DIGEST_MAX_NAMES) lines.push(`…and ${items.length - DIGEST_MAX_NAMES} more`);
+  return lines.join('\n');
+}
+
+// Adds one poll's joins/leaves to the lobby's digest and posts it once the
+// window is over. Windows without joins or leaves post nothing.
+async function collectAlertDigest(channel, cfg, lobby, { joins, leftIds, activeCount }, pingContent) {
+  const guildId = channel.guild.id;
+  const minutes = cfg.alertDigest[lobby.key];
+  const now = clockNow();
+
+  let state = cfg.alertDigestState[lobby.key];
+  if (!state) {
+    state = createDigestState(now, activeCount);
+    cfg.alertDigestState[lobby.key] = state;
+  }
+
+  for (const p of joins) {
+    const name = p.name || p.privyId || p.id || 'Unknown';
+    state.joins.set(p.privyId || p.id, p.rejoinedAfterMs !== null ? `${name} (rejoined)` : name);
+  }
+  for (const id of leftIds) {
+    state.leaves.set(id, describeLeftPlayer(lobby, id, guildId));
+  }
+  state.endCount = activeCount;
+  state.low = Math.min(state.low, activeCount);
+  state.high = Math.max(state.high, activeCount);
+
+  if (now - state.startedAt < minutes * 60 * 1000) return;
+  cfg.alertDigestState[lobby.key] = createDigestState(now, activeCount);
+  if (state.joins.size === 0 && state.leaves.size === 0) return;
+
+  const lines = [`${lobby.region.toUpperCase()} $${lobby.lobby} lobby, last ${minutes} min:`];
+  if (state.joins.size > 0) {
+    lines.push('', `Joined (${state.joins.size}):`, formatDigestList([...state.joins.values()]));
+  }
+  if (state.leaves.size > 0) {
+    const left = [...state.leaves.values()].map(l => `${l.name}${l.duration ? ` - ${l.duration}` : ''}`);
+    lines.push('', `Left (${state.leaves.size}):`, formatDigestList(left));
+  }
+  lines.push(
+    '',
+    `Lobby players: ${state.startCount} → ${state.endCount} (low ${state.low}, high ${state.high}).`,
+    formatGuildTime(clockDate(), guildId)
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle('Lobby Digest')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `Digest every ${minutes} min` })
+    .setColor(ORANGE);
+  const payload = { embeds: [embed] };
+  // like instant alerts, only joins ping the role
+  if (state.joins.size > 0) payload.content = pingContent;
+  await channel.send(payload).catch(err => {
+    console.error('Digest send failed for guild', guildId, err.message || err);
+  });
+}
+
+// ----- Whale alerts -----
+// Thresholds are stored per scope key "<region|all>|<lobby|all>".
+// The most specific scope that matches a lobby wins.
+function getWhaleScopeKey(region, lobby) {
+  return `${region}|${lobby}`;
+}
+
+function describeWhaleScope(scopeKey) {
+  const [region, lobby] = scopeKey.split('|');
+  const regionText = region === 'all' ? 'all regions' : region.toUpperCase();
+  const lobbyText = lobby === 'all' ? 'all lobbies' : `$${lobby}`;
+  return `${regionText} ${lobbyText}`;
+}
+
+// Returns { key } or { error } (error is shaped for buildInvalidLobbyEmbed).
+function resolveWhaleScope(lobbyArg, regionArg) {
+  const lobbyAll = (lobbyArg || '').toLowerCase() === 'all';
+  const regionAll = (regionArg || '').toLowerCase() === 'all';
+
+  if (!lobbyAll && !regionAll) {
+    const resolved = resolveLobbyArgs(lobbyArg, regionArg);
+    if (!resolved.lobbyDef) return { error: resolved };
+    return { key: getWhaleScopeKey(resolved.lobbyDef.region, resolved.lobbyDef.lobby) };
+  }
+
+  let region = 'all';
+  if (!regionAll) {
+    region = (regionArg || '').toLowerCase();
+    if (!getRegions().includes(region)) {
+      return {
+        error: {
+          title: 'Invalid region',
+          description: `Region must be "all" or one of: ${getRegions().map(r => `"${r}"`).join(', ')}.`
+        }
+      };
+    }
+  }
+
+  let lobby = 'all';
+  if (!lobbyAll) {
+    lobby = parseLobbyNumber(lobbyArg);
+    if (lobby === null || !LOBBIES.some(l => l.lobby === lobby)) {
+      return {
+        error: {
+          title: 'Invalid lobby',
+          description: `Lobby must be "all" or an existing stake.`
+        }
+      };
+    }
+  }
+
+  return { key: getWhaleScopeKey(region, lobby) };
+}
+
+function getWhaleThreshold(cfg, lobbyDef) {
+  const candidates = [
+    getWhaleScopeKey(lobbyDef.region, lobbyDef.lobby),
+    getWhaleScopeKey(lobbyDef.region, 'all'),
+    getWhaleScopeKey('all', lobbyDef.lobby),
+    getWhaleScopeKey('all', 'all')
+  ];
+  for (const key of candidates) {
+    if (typeof cfg.whaleThresholds[key] === 'number') return cfg.whaleThresholds[key];
+  }
+  return null;
+}
 
+// Alerts once when a player's USD value first reaches the threshold; the
+// player re-arms after dropping below it or leaving the lobby.
+async function processWhaleAlerts() {
   for (const [guildId, cfg] of guildConfigs.entries()) {
-    // WATCH alerts prefer watchChannelId, fall back to alertChannelId
-    const targetChannelId = cfg.watchChannelId || cfg.alertChannelId;
-    if (!targetChannelId) continue;
+    if (Object.keys(cfg.whaleThresholds).length === 0) continue;
 
-    const guild = client.guilds.cache.get(guildId);
-    if (!guild) continue;
+    for (const lobby of LOBBIES) {
+      const threshold = getWhaleThreshold(cfg, lobby);
+      if (threshold === null) {
+        // an empty set (not a missing one) so a new threshold isn't a silent baseline
+        cfg.whaleAlerted[lobby.key] = new Set();
+        continue;
+      }
+
+      const snapshot = lobbyCache.get(lobby.key);
+      if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+
+      if (!cfg.whaleAlerted[lobby.key]) {
+        cfg.whaleAlerted[lobby.key] = new Set();
+        startAlertBaseline(cfg, `whale|${lobby.key}`);
+      }
+      const alerted = cfg.whaleAlerted[lobby.key];
+
+      const presentIds = new Set();
+      const crossed = [];
+      for (const p of snapshot.players) {
+        const id = p.privyId || p.id;
+        if (!id) continue;
+        presentIds.add(id);
+        if (typeof p.usdFromSol !== 'number') continue; // price unknown: keep state
+
+        if (p.usdFromSol >= threshold) {
+          if (!alerted.has(id)) {
+            alerted.add(id);
+            crossed.push(p);
+          }
+        } else {
+          alerted.delete(id);
+        }
+      }
+      for (const id of alerted) {
+        if (!presentIds.has(id)) alerted.delete(id);
+      }
+
+      if (consumeAlertWarmup(cfg, `whale|${lobby.key}`)) continue;
+      if (crossed.length === 0) continue;
+
+      // whale alerts follow the lobby's channel route but keep their own role
+      const channel = resolveTextChannel(guildId, getAlertRoute(cfg, lobby.key).channelId);
+      if (!channel) continue;
+
+      const timeStr = formatGuildTime(clockDate(), guildId);
+      const lines = crossed
+        .sort((a, b) => b.usdFromSol - a.usdFromSol)
+        .map(p => {
+          const name = p.name || p.privyId || p.id || 'Unknown';
+          const size = typeof p.size === 'number' ? Math.round(p.size) : '?';
+          return `• ${name} - ${formatPlayerValue(p, guildId)} (size ${size})`;
+        });
+
+      const embed = new EmbedBuilder()
+        .setTitle(crossed.length === 1 ? 'Whale Alert' : 'Whale Alerts')
+        .setDescription(
+          [
+            `Crossed $${threshold.toFixed(2)} in ${lobby.region.toUpperCase()} $${lobby.lobby} lobby:`,
+            lines.join('\n'),
+            timeStr
+          ].join('\n')
+        )
+        .setColor(ORANGE);
+      const payload = { embeds: [embed] };
+      if (cfg.whalePingRoleId) payload.content = `<@&${cfg.whalePingRoleId}>`;
+      await channel.send(payload).catch(err => {
+        console.error('Whale alert send failed for guild', guildId, err.message || err);
+      });
+    }
+  }
+}
+
+async function processTrackAlerts() {
+  for (const [guildId, cfg] of guildConfigs.entries()) {
+    if (cfg.tracks.size === 0) continue;
+
+    for (const track of cfg.tracks.values()) {
+      // where is the tracked player right now? (size > 3, like join alerts)
+      let found = null;
+      for (const lobby of LOBBIES) {
+        const snapshot = lobbyCache.get(lobby.key);
+        if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
+        const player = snapshot.players.find(
+          p => isActivePlayer(p) && trackMatchesPlayer(track, p)
+        );
+        if (player) {
+          found = { lobby, snapshot, player };
+          break;
+        }
+      }
+
+      const prevKey = track.lastLobbyKey;
+      const newKey = found ? found.lobby.key : null;
+      track.lastLobbyKey = newKey;
 
-    const channel = guild.channels.cache.get(targetChannelId);
-    if (!channel || !channel.isTextBased()) continue;
+      // first poll after startup/creation only sets the baseline
+      if (prevKey === undefined || prevKey === newKey) continue;
+
+      // name-only tracks lock onto the privyId once the player is seen
+      if (found && !track.privyId && (found.player.privyId || found.player.id)) {
+        track.privyId = found.player.privyId || found.player.id;
+        saveGuildConfigsToDisk();
+      }
+
+      const channel = resolveTextChannel(guildId, track.channelId || cfg.alertChannelId);
+      if (!channel) continue;
+
+      const prevLobby = prevKey ? findLobbyByKey(prevKey) : null;
+      const prevLabel = prevLobby ? prevLobby.label : prevKey;
+      const lines = [];
+      let title;
+
+      if (found) {
+        const p = found.player;
+        const activeCount = found.snapshot.players.filter(isActivePlayer).length;
+        const valueDisplay = formatPlayerValue(p, guildId);
+        title = prevKey ? 'Tracked Player Moved' : 'Tracked Player Joined';
+        lines.push(
+          prevKey
+            ? `${track.name} moved from ${prevLabel} to ${found.lobby.label} lobby.`
+            : `${track.name} joined ${found.lobby.label} lobby.`,
+          `Size: ${Math.round(p.size)}   Value: ${valueDisplay}`,
+          `Lobby players: ${activeCount}.`
+        );
+      } else {
+        title = 'Tracked Player Left';
+        lines.push(`${track.name} left ${prevLabel} lobby.`);
+      }
+      lines.push(formatGuildTime(clockDate(), guildId));
+
+      const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `Track ID ${track.id}` })
+        .setColor(ORANGE);
+      const payload = { embeds: [embed] };
+      if (track.roleId) payload.content = `<@&${track.roleId}>`;
+      await channel.send(payload).catch(err => {
+        console.error('Track alert send failed for guild', guildId, err.message || err);
+      });
+    }
+  }
+}
 
-    const pingContent = cfg.watchPingRoleId
-  ? `<@&${cfg.watchPingRoleId}>`
-  : 'No ping role given';
+async function processWatches() {
+  const now = clockNow();
 
+  for (const [guildId, cfg] of guildConfigs.entries()) {
+    // WATCH alerts prefer watchChannelId, fall back to alertChannelId
+    const channel = resolveTextChannel(guildId, cfg.watchChannelId || cfg.alertChannelId);
+    if (!channel) continue;
 
     for (const [id, watch] of cfg.watches.entries()) {
-      const lobbyDef = LOBBIES.find(l => l.key === watch.lobbyKey);
+      const lobbyDef = findLobbyByKey(watch.lobbyKey);
       if (!lobbyDef) continue;
+      const pingContent = formatRoleMentions([cfg.watchPingRoleId, ...getNotifyRoleIds(guildId, cfg, lobbyDef)]);
 
       const snapshot = lobbyCache.get(watch.lobbyKey);
       if (!snapshot || snapshot.noApi || !Array.isArray(snapshot.players)) continue;
 
-      // Only count players with size > 3
-      const activeCount = snapshot.players.filter(
-        p => typeof p.size === 'number' && p.size > 3
-      ).length;
-
-      if (activeCount < watch.threshold) continue;
+      const value = getWatchMetricValue(watch.condition, snapshot);
+      if (value === null) continue;
+      if (!WATCH_OPERATORS[watch.condition.op](value, watch.condition.value)) continue;
 
       const intervalMs = watch.intervalMinutes * 60 * 1000;
       const lastMs = watch.lastAlertAt ? watch.lastAlertAt.getTime() : 0;
 
             if (!watch.lastAlertAt || now - lastMs >= intervalMs) {
-        const timeStr = formatEtTime(now);
+        const timeStr = formatGuildTime(now, guildId);
 
         const embed = new EmbedBuilder()
           .setTitle('Lobby Watch Alert')
           .setDescription(
             [
-              `${lobbyDef.region.toUpperCase()} $${lobbyDef.lobby} lobby has ${activeCount} players.`,
-              `Threshold: ${watch.threshold}. Interval: ${watch.intervalMinutes} minute(s).`,
+              `${lobbyDef.region.toUpperCase()} $${lobbyDef.lobby} lobby: ${formatWatchMetricValue(watch.condition, value)}.`,
+              `Condition: ${formatWatchCondition(watch.condition)}. Interval: ${watch.intervalMinutes} minute(s).`,
               `${timeStr}`
             ].join('\n')
           )
           .setColor(ORANGE);
-        await channel.send({ content: pingContent, embeds: [embed] });
-        watch.lastAlertAt = new Date();
+        await channel.send({ content: pingContent, embeds: [embed] }).catch(err => {
+          console.error('Watch alert send failed for guild', guildId, err.message || err);
+        });
+        watch.lastAlertAt = new Date(now);
       }
 
     }
@@ -1489,13 +6811,25 @@ async function processWatches() {
 
 
 // ----- Start the bot -----
+if (REPLAY_PATH) {
+  try {
+    replay = loadReplay(REPLAY_PATH);
+  } catch (err) {
+    console.error('[REPLAY] Failed to load recording:', err.message || err);
+    process.exit(1);
+  }
+}
+
 const token = process.env.DISCORD_TOKEN;
-if (!token) {
+if (REPLAY_OFFLINE) {
+  console.log('[REPLAY] Running offline; alerts are printed to the console');
+  startBackgroundTasks();
+} else if (!token) {
   console.error('DISCORD_TOKEN is not set in environment or .env file.');
   process.exit(1);
+} else {
+  client.login(token).catch(err => {
+    console.error('Failed to login to Discord:', err);
+    process.exit(1);
+  });
 }
-
-client.login(token).catch(err => {
-  console.error('Failed to login to Discord:', err);
-  process.exit(1);
-});